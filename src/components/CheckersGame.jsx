@@ -1,5 +1,10 @@
-import { useEffect } from 'react';
+import { useEffect, useRef } from 'react';
 import UseCheckersGame from './useCheckersGame';
+import GameOverDialog from './GameOverDialog';
+import SpectatorControls from './SpectatorControls';
+import HintControls from './HintControls';
+import EvalBar from './EvalBar';
+import { VARIANTS } from '../gameScripts/constants/variants';
 
 /**
  * CheckersGame — top-level React component that mounts the canvas and UI.
@@ -16,17 +21,52 @@ export default function CheckersGame() {
     isInitialized, 
     aiDifficulty,
     setDifficulty,
+    colorChoice,
+    setColorChoice,
+    spectating,
+    setSpectating,
+    spectatorEngines,
+    setSpectatorEngine,
+    spectatorPaused,
+    toggleSpectatorPause,
+    handleSpectatorStep,
+    spectatorSpeed,
+    setSpectatorSpeed,
+    hint,
+    hintPending,
+    hintLimit,
+    setHintLimit,
+    hintsUsed,
+    handleHint,
+    evaluation,
+    analysisMode,
+    setAnalysisMode,
+    variant,
+    setVariant,
+    canUndo,
+    canRedo,
+    handleUndo,
+    handleRedo,
+    handleExportPDN,
+    handleImportPDN,
+    getFEN,
+    handleCopyFEN,
+    handleLoadFEN,
+    gameOver,
+    handleReview,
+    loadError,
+    dismissLoadError,
     handleCanvasClick
   } = UseCheckersGame();
+  const pdnInputRef = useRef(null);
   
   useEffect(() => {
-    async function setup() {
-      const cleanup = await initWebGPU();
-      return cleanup;
-    }
-    setup();
+    // the cleanup arrives once initialization is done; an unmount before
+    // that (e.g. StrictMode's double mount) runs it as soon as it does
+    const ready = initWebGPU();
 
     return () => {
+      ready.then(cleanup => cleanup && cleanup());
       if (animationFrameRef.current) {
         // eslint-disable-next-line react-hooks/exhaustive-deps
         cancelAnimationFrame(animationFrameRef.current);
@@ -48,7 +88,7 @@ export default function CheckersGame() {
         zIndex: 10
       }}>
         <div style={{ marginBottom: '8px', fontSize: '16px', fontWeight: 'bold' }}>
-          Warcaby — WebGPU 3D (plansza 8×8)
+          Warcaby — WebGPU 3D (plansza {VARIANTS[variant].boardSize}×{VARIANTS[variant].boardSize})
         </div>
         <div style={{ marginBottom: '8px' }}>
           Tura: <strong>{currentTurn}</strong>
@@ -65,6 +105,22 @@ export default function CheckersGame() {
         >
           Reset
         </button>
+        {[['Cofnij', handleUndo, canUndo], ['Ponów', handleRedo, canRedo]].map(([label, onClick, enabled]) => (
+          <button
+            key={label}
+            onClick={onClick}
+            disabled={!isInitialized || !enabled}
+            style={{
+              padding: '6px 12px',
+              marginBottom: '8px',
+              marginLeft: '8px',
+              cursor: isInitialized && enabled ? 'pointer' : 'not-allowed',
+              opacity: isInitialized && enabled ? 1 : 0.5
+            }}
+          >
+            {label}
+          </button>
+        ))}
         <div style={{ display: 'inline-flex', gap: '8px', marginLeft: '8px', marginBottom: '8px' }}>
           {['off', 'easy', 'medium', 'hard'].map(mode => (
             <button
@@ -84,6 +140,97 @@ export default function CheckersGame() {
             </button>
           ))}
         </div>
+        <div style={{ marginBottom: '8px' }}>
+          <label>
+            Grasz:{' '}
+            <select
+              value={colorChoice}
+              onChange={e => setColorChoice(e.target.value)}
+              disabled={!isInitialized}
+            >
+              <option value="red">Czerwonymi</option>
+              <option value="black">Czarnymi</option>
+              <option value="random">Losowo</option>
+            </select>
+          </label>
+        </div>
+        <HintControls
+          disabled={!isInitialized || spectating}
+          hint={hint}
+          pending={hintPending}
+          limit={hintLimit}
+          onLimitChange={setHintLimit}
+          used={hintsUsed}
+          onHint={handleHint}
+        />
+        <div style={{ marginBottom: '8px' }}>
+          <label>
+            <input
+              type="checkbox"
+              checked={analysisMode}
+              onChange={e => setAnalysisMode(e.target.checked)}
+              disabled={!isInitialized}
+            />{' '}
+            Analiza w turze gracza
+          </label>
+        </div>
+        <SpectatorControls
+          disabled={!isInitialized}
+          spectating={spectating}
+          onToggle={setSpectating}
+          engines={spectatorEngines}
+          onEngineChange={setSpectatorEngine}
+          paused={spectatorPaused}
+          onTogglePause={toggleSpectatorPause}
+          onStep={handleSpectatorStep}
+          speed={spectatorSpeed}
+          onSpeedChange={setSpectatorSpeed}
+        />
+        <div style={{ marginBottom: '8px' }}>
+          <label>
+            Zasady:{' '}
+            <select
+              value={variant}
+              onChange={e => setVariant(e.target.value)}
+              disabled={!isInitialized}
+            >
+              {Object.values(VARIANTS).map(v => (
+                <option key={v.id} value={v.id}>{v.name}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <div style={{ display: 'flex', gap: '8px', marginBottom: '8px' }}>
+          <button onClick={handleExportPDN} disabled={!isInitialized} style={{ padding: '6px 12px' }}>
+            Pobierz PDN
+          </button>
+          <button onClick={() => pdnInputRef.current.click()} disabled={!isInitialized} style={{ padding: '6px 12px' }}>
+            Wczytaj PDN
+          </button>
+          <button onClick={handleCopyFEN} disabled={!isInitialized} style={{ padding: '6px 12px' }}>
+            Kopiuj FEN
+          </button>
+          <button
+            onClick={() => handleLoadFEN(window.prompt('Pozycja FEN (np. W:W21,22,K30:B1,2,3):', getFEN()))}
+            disabled={!isInitialized}
+            style={{ padding: '6px 12px' }}
+          >
+            Wczytaj FEN
+          </button>
+          <input
+            ref={pdnInputRef}
+            type="file"
+            accept=".pdn,.txt"
+            style={{ display: 'none' }}
+            onChange={e => { handleImportPDN(e.target.files[0]); e.target.value = ''; }}
+          />
+        </div>
+        {loadError && (
+          <div style={{ marginBottom: '8px', color: '#ff8a80', maxWidth: '360px' }}>
+            {loadError}{' '}
+            <button onClick={dismissLoadError} style={{ padding: '0 6px' }}>×</button>
+          </div>
+        )}
         <div style={{ fontSize: '12px', color: '#aaa', marginTop: '8px' }}>
           Sterowanie: lewy przycisk — zaznacz/rusz
           <br />
@@ -91,6 +238,15 @@ export default function CheckersGame() {
         </div>
       </div>
 
+      <EvalBar evaluation={evaluation} />
+
+      <GameOverDialog
+        status={gameOver}
+        onRematch={handleReset}
+        onReview={handleReview}
+        onExport={handleExportPDN}
+      />
+
       <canvas
         ref={canvasRef}
         onClick={handleCanvasClick}
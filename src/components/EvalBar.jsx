@@ -0,0 +1,69 @@
+import { DECISIVE_SCORE } from '../gameScripts/ai/ai';
+import { formatScore } from '../gameScripts/ai/hint';
+
+/**
+ * redShare — part of the bar filled red for a score from Red's side:
+ * a logistic curve with a one-man lead (100) at about two thirds.
+ */
+function redShare(score) {
+  if (score >= DECISIVE_SCORE) return 1;
+  if (score <= -DECISIVE_SCORE) return 0;
+  return 1 / (1 + 10 ** (-score / 400));
+}
+
+function describe(score) {
+  if (Math.abs(score) >= DECISIVE_SCORE) return score > 0 ? 'Czerwoni wygrywają' : 'Czarni wygrywają';
+  return formatScore(score);
+}
+
+/**
+ * EvalBar — evaluation bar at the right edge of the board view, Red filling
+ * from the bottom, with the latest search report beside it: the score, the
+ * depth with root moves done, nodes searched and the principal variation
+ * in PDN notation. Shows an even bar until a search reports.
+ */
+export default function EvalBar({ evaluation }) {
+  const share = evaluation ? redShare(evaluation.score) : 0.5;
+  return (
+    <div style={{
+      position: 'absolute',
+      right: '12px',
+      top: '12px',
+      display: 'flex',
+      gap: '8px',
+      alignItems: 'flex-start',
+      color: '#ddd',
+      fontFamily: 'system-ui',
+      fontSize: '13px',
+      zIndex: 10
+    }}>
+      {evaluation && (
+        <div style={{ background: 'rgba(0, 0, 0, 0.6)', padding: '8px 12px', borderRadius: '8px', maxWidth: '260px' }}>
+          <div>Ocena: <strong>{describe(evaluation.score)}</strong></div>
+          <div>
+            Głębokość {evaluation.depth} ({evaluation.done}/{evaluation.total}),
+            węzły: {evaluation.nodes.toLocaleString('pl-PL')}
+          </div>
+          <div style={{ marginTop: '4px', wordBreak: 'break-word' }}>
+            Wariant: {evaluation.pv.join(' ')}
+          </div>
+        </div>
+      )}
+      <div
+        title={evaluation ? describe(evaluation.score) : 'brak oceny'}
+        style={{
+          width: '20px',
+          height: '50vh',
+          display: 'flex',
+          flexDirection: 'column-reverse',
+          background: '#262626',
+          border: '1px solid #888',
+          borderRadius: '4px',
+          overflow: 'hidden'
+        }}
+      >
+        <div style={{ height: `${share * 100}%`, background: '#e62e2e', transition: 'height 0.3s' }} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import { PIECE_TYPES } from '../gameScripts/constants/constants';
+
+const REASONS = {
+  noPieces: 'przeciwnik nie ma już pionów',
+  noMoves: 'przeciwnik nie ma ruchu',
+  repetition: 'trzykrotne powtórzenie pozycji',
+  kingMoves: 'limit ruchów samymi damkami bez bicia',
+  endgameLimit: 'limit ruchów w końcówce',
+  insufficientMaterial: 'żadna ze stron nie może wygrać'
+};
+
+/**
+ * describeResult — Polish headline and reason line for a game status.
+ */
+function describeResult(status) {
+  const headline = status.state === 'draw'
+    ? 'Remis'
+    : `Wygrali ${status.winner === PIECE_TYPES.RED ? 'Czerwoni' : 'Czarni'}`;
+  return { headline, reason: REASONS[status.reason] || status.reason };
+}
+
+/**
+ * GameOverDialog — in-app summary shown when a game ends.
+ * Shows the result, its reason and the number of moves, and offers a
+ * rematch, reviewing the final position or exporting the game as PDN.
+ */
+export default function GameOverDialog({ status, onRematch, onReview, onExport }) {
+  if (!status) return null;
+  const { headline, reason } = describeResult(status);
+
+  return (
+    <div style={{
+      position: 'absolute',
+      inset: 0,
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      background: 'rgba(0, 0, 0, 0.4)',
+      zIndex: 20
+    }}>
+      <div role="dialog" aria-label="Koniec gry" style={{
+        background: 'rgba(20, 20, 24, 0.95)',
+        padding: '20px 24px',
+        borderRadius: '8px',
+        color: '#ddd',
+        fontFamily: 'system-ui',
+        minWidth: '260px',
+        textAlign: 'center'
+      }}>
+        <div style={{ fontSize: '20px', fontWeight: 'bold', marginBottom: '8px' }}>{headline}</div>
+        <div style={{ marginBottom: '4px' }}>{reason}</div>
+        <div style={{ fontSize: '12px', color: '#aaa', marginBottom: '16px' }}>
+          Liczba ruchów: {status.moveCount}
+        </div>
+        <div style={{ display: 'flex', gap: '8px', justifyContent: 'center' }}>
+          <button onClick={onRematch} style={{ padding: '6px 12px' }}>Rewanż</button>
+          <button onClick={onReview} style={{ padding: '6px 12px' }}>Przeglądaj</button>
+          <button onClick={onExport} style={{ padding: '6px 12px' }}>Eksportuj PDN</button>
+        </div>
+      </div>
+    </div>
+  );
+}
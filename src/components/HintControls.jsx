@@ -0,0 +1,41 @@
+import { formatScore } from '../gameScripts/ai/hint';
+
+const LIMITS = [0, 1, 3, 5, 10, Infinity];
+
+/**
+ * HintControls — panel section for move hints: the hint button with the
+ * hints left in this game, the per-game limit and the last suggestion with
+ * its evaluation (the move itself is marked on the board).
+ */
+export default function HintControls({ disabled, hint, pending, limit, onLimitChange, used, onHint }) {
+  const left = limit - used;
+  let evaluation = 'bez oceny';
+  if (hint && hint.score !== null) evaluation = `${formatScore(hint.score)}, głębokość ${hint.depth}`;
+  return (
+    <div style={{ marginBottom: '8px' }}>
+      <button
+        onClick={onHint}
+        disabled={disabled || pending || left <= 0}
+        style={{ padding: '6px 12px', marginRight: '8px' }}
+      >
+        {pending ? 'Szukam…' : 'Podpowiedź'}
+        {limit !== Infinity && ` (${Math.max(0, left)})`}
+      </button>
+      <label>
+        Limit:{' '}
+        <select
+          value={String(limit)}
+          onChange={e => onLimitChange(Number(e.target.value))}
+          disabled={disabled}
+        >
+          {LIMITS.map(n => <option key={n} value={String(n)}>{n === Infinity ? 'bez limitu' : n}</option>)}
+        </select>
+      </label>
+      {hint && (
+        <div style={{ marginTop: '4px' }}>
+          Sugerowany ruch: <strong>{hint.text}</strong> ({evaluation})
+        </div>
+      )}
+    </div>
+  );
+}
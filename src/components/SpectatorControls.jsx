@@ -0,0 +1,78 @@
+import { PIECE_TYPES } from '../gameScripts/constants/constants';
+import { PROFILES } from '../gameScripts/ai/evaluate';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const SIDES = [[PIECE_TYPES.RED, 'Czerwoni'], [PIECE_TYPES.BLACK, 'Czarni']];
+
+/**
+ * SpectatorControls — panel section for the AI vs AI watch mode.
+ * Toggles the mode, configures each color's engine (difficulty and
+ * evaluation profile) and offers pause/resume, single steps and the speed.
+ */
+export default function SpectatorControls({
+  disabled,
+  spectating,
+  onToggle,
+  engines,
+  onEngineChange,
+  paused,
+  onTogglePause,
+  onStep,
+  speed,
+  onSpeedChange
+}) {
+  return (
+    <div style={{ marginBottom: '8px' }}>
+      <label>
+        <input
+          type="checkbox"
+          checked={spectating}
+          onChange={e => onToggle(e.target.checked)}
+          disabled={disabled}
+        />{' '}
+        Tryb widza (AI kontra AI)
+      </label>
+      {SIDES.map(([color, name]) => (
+        <div key={color} style={{ marginTop: '4px' }}>
+          {name}:{' '}
+          <select
+            value={engines[color].difficulty}
+            onChange={e => onEngineChange(color, { difficulty: e.target.value })}
+            disabled={disabled}
+          >
+            {DIFFICULTIES.map(d => <option key={d} value={d}>{d}</option>)}
+          </select>{' '}
+          <select
+            value={engines[color].profile}
+            onChange={e => onEngineChange(color, { profile: e.target.value })}
+            disabled={disabled}
+          >
+            {Object.keys(PROFILES).map(p => <option key={p} value={p}>{p}</option>)}
+          </select>
+        </div>
+      ))}
+      {spectating && (
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginTop: '4px' }}>
+          <button onClick={onTogglePause} style={{ padding: '6px 12px' }}>
+            {paused ? 'Wznów' : 'Pauza'}
+          </button>
+          <button onClick={onStep} disabled={!paused} style={{ padding: '6px 12px' }}>
+            Krok
+          </button>
+          <label>
+            Tempo:{' '}
+            <input
+              type="range"
+              min="0.25"
+              max="4"
+              step="0.25"
+              value={speed}
+              onChange={e => onSpeedChange(Number(e.target.value))}
+            />{' '}
+            {speed}×
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
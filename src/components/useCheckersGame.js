@@ -2,8 +2,12 @@ import { useRef, useState, useCallback } from 'react';
 import GameState from '../gameScripts/gameState';
 import Camera from '../gameScripts/camera';
 import Renderer from '../gameScripts/renderer';
-import { PIECE_TYPES, BOARD_SIZE } from '../gameScripts/constants/constants';
+import { PIECE_TYPES } from '../gameScripts/constants/constants';
+import { DEFAULT_VARIANT } from '../gameScripts/constants/variants';
 import createAiRunner from '../gameScripts/ai/aiRunner';
+import createSpectator from '../gameScripts/ai/spectator';
+import createHinter, { ANALYSIS_OPTIONS } from '../gameScripts/ai/hint';
+import { exportPDN, parsePDN, loadPDNGame } from '../gameScripts/notation/pdn';
 
 /**
  * UseCheckersGame — React hook that sets up the game state, renderer and AI.
@@ -26,61 +30,158 @@ export default function UseCheckersGame() {
   const aiDifficultyRef = useRef('off');
   const aiRunnerRef = useRef(null);
   const aiColorRef = useRef(PIECE_TYPES.BLACK);
+  // colorChoice: 'red' | 'black' | 'random' — the human's side, drawn again
+  // for every new game when random
+  const [colorChoice, setColorChoiceState] = useState('red');
+  const colorChoiceRef = useRef('red');
+  const [variant, setVariantState] = useState(DEFAULT_VARIANT);
+  const variantRef = useRef(DEFAULT_VARIANT);
+  // spectator mode: AI vs AI, each color with its own engine settings
+  const [spectating, setSpectatingState] = useState(false);
+  const spectatorRef = useRef(null);
+  const [spectatorEngines, setSpectatorEngines] = useState({
+    [PIECE_TYPES.RED]: { difficulty: 'medium', profile: 'balanced' },
+    [PIECE_TYPES.BLACK]: { difficulty: 'medium', profile: 'balanced' }
+  });
+  const [spectatorPaused, setSpectatorPaused] = useState(false);
+  const [spectatorSpeed, setSpectatorSpeedState] = useState(1);
+  // hints: the engine's suggestion for the human's move, limited per game
+  const hinterRef = useRef(null);
+  const [hint, setHint] = useState(null);
+  const hintRef = useRef(null);
+  const [hintPending, setHintPending] = useState(false);
+  const [hintLimit, setHintLimitState] = useState(3);
+  const hintLimitRef = useRef(3);
+  const [hintsUsed, setHintsUsed] = useState(0);
+  const hintsUsedRef = useRef(0);
+  // evaluation: the latest search report ({ score, depth, done, total,
+  // nodes, pv }, score from Red's side) from the AI or the analysis
+  const [evaluation, setEvaluation] = useState(null);
+  const [analysisMode, setAnalysisModeState] = useState(false);
+  const analysisModeRef = useRef(false);
+  const analyzerRef = useRef(null);
+  const [canUndo, setCanUndo] = useState(false);
+  const [canRedo, setCanRedo] = useState(false);
+  // gameOver: null while playing, else GameState.getStatus() plus the move count
+  const [gameOver, setGameOver] = useState(null);
+  // loadError: why the last PDN/FEN could not be loaded, shown in the panel
+  const [loadError, setLoadError] = useState(null);
 
   // Important callbacks used by initialization and AI runner
   /**
    * updatePlayerTurnText — update the UI text describing whose turn it is.
-   * Reads gameState.currentTurn and updates a React state string used by UI.
+   * Reads gameState.currentTurn (and undo/redo availability) into React state.
    * Kept as a stable callback to avoid unnecessary re-renders.
    */
   const updatePlayerTurnText = useCallback(() => {
-    const turnText = gameStateRef.current.currentTurn === PIECE_TYPES.RED ? 'Czerwoni' : 'Czarni';
+    const turn = gameStateRef.current.currentTurn;
+    const colorName = turn === PIECE_TYPES.RED ? 'Czerwoni' : 'Czarni';
+    let turnText = colorName;
+    if (spectatorRef.current) {
+      turnText = `AI (${colorName})`;
+    } else if (aiDifficultyRef.current !== 'off') {
+      turnText = turn === aiColorRef.current ? `AI (${colorName})` : `Ty (${colorName})`;
+    }
     setCurrentTurn(turnText);
+    setCanUndo(gameStateRef.current.canUndo());
+    setCanRedo(gameStateRef.current.canRedo());
+  }, []);
+
+  /**
+   * buildScene — rebuild the render instances from the game state, with the
+   * current hint (if any) marked on the board.
+   */
+  const buildScene = useCallback(() => {
+    rendererRef.current.buildInstances(gameStateRef.current, { hint: hintRef.current && hintRef.current.move });
+  }, []);
+
+  /**
+   * clearHint — drop the shown hint and any hint search in progress.
+   */
+  const clearHint = useCallback(() => {
+    if (hinterRef.current) hinterRef.current.cancel();
+    hintRef.current = null;
+    setHint(null);
+    setHintPending(false);
+  }, []);
+
+  /**
+   * handleProgress — publish a search progress report (see chooseAIMove) as
+   * the evaluation; every search is for the side to move, which turns the
+   * score around to Red's point of view.
+   */
+  const handleProgress = useCallback(({ bestScore, depth, done, total, nodes, pv }) => {
+    const score = gameStateRef.current.currentTurn === PIECE_TYPES.RED ? bestScore : -bestScore;
+    setEvaluation({ score, depth, done, total, nodes, pv });
+  }, []);
+
+  /**
+   * maybeAnalyze — in analysis mode, search the position whenever the player
+   * is to move (the AI reports its own searches); otherwise stop analysing.
+   */
+  const maybeAnalyze = useCallback(() => {
+    const gameState = gameStateRef.current;
+    const analyzer = analyzerRef.current;
+    if (!gameState || !analyzer) return;
+    const aiTurn = aiDifficultyRef.current !== 'off' && gameState.currentTurn === aiColorRef.current;
+    if (!analysisModeRef.current || spectatorRef.current || aiTurn || gameState.getStatus().state !== 'ongoing') {
+      analyzer.cancel();
+      return;
+    }
+    analyzer.request();
+  }, []);
+
+  /**
+   * assignColors — settle the sides for a new game from the color choice
+   * (drawing one for 'random'), hand the other side to the AI and turn the
+   * camera to the human's side of the board.
+   */
+  const assignColors = useCallback(() => {
+    let human = colorChoiceRef.current === 'black' ? PIECE_TYPES.BLACK : PIECE_TYPES.RED;
+    if (colorChoiceRef.current === 'random') human = Math.random() < 0.5 ? PIECE_TYPES.RED : PIECE_TYPES.BLACK;
+    aiColorRef.current = human === PIECE_TYPES.RED ? PIECE_TYPES.BLACK : PIECE_TYPES.RED;
+    if (aiRunnerRef.current) aiRunnerRef.current.setAiColor(aiColorRef.current);
+    if (cameraRef.current) cameraRef.current.viewFromSide(human);
   }, []);
 
   /**
-   * handleReset — reset the game and refresh rendering state/UI.
-   * Also cancels any pending AI actions and optionally starts AI if enabled.
+   * handleReset — reset the game; the view refreshes from the `position` event.
+   * Also cancels any pending AI actions and optionally starts AI if enabled
+   * (the AI opens the game when it got the side that moves first).
    * Kept wrapped in useCallback to preserve stable identity across renders.
    */
   const handleReset = useCallback(() => {
-    gameStateRef.current.reset();
-    rendererRef.current.buildInstances(gameStateRef.current);
-    updatePlayerTurnText();
     if (aiRunnerRef.current) aiRunnerRef.current.cancel();
+    assignColors();
+    gameStateRef.current.reset();
     if (aiDifficultyRef.current !== 'off' && aiRunnerRef.current) aiRunnerRef.current.maybeAIMove();
-  }, [updatePlayerTurnText]);
+  }, [assignColors]);
 
   /**
-   * checkGameOver — inspect the board and determine winner/possible moves.
-   * Triggers an alert when one side has no pieces or no legal moves left.
-   * Calls handleReset to restart the game after announcing winner.
+   * checkGameOver — ask GameState for the result of the current position.
+   * Publishes a finished game (win or draw, with reason and move count) to
+   * the game-over dialog; the board is never reset automatically.
    */
   const checkGameOver = useCallback(() => {
-    let redPieces = 0, blackPieces = 0, redCanMove = false, blackCanMove = false;
-    for (let y = 0; y < BOARD_SIZE; y++) {
-      for (let x = 0; x < BOARD_SIZE; x++) {
-        const piece = gameStateRef.current.getPiece(x, y);
-        if (gameStateRef.current.isRed(piece)) {
-          redPieces++;
-          if (gameStateRef.current.getLegalMoves(x, y).length > 0) redCanMove = true;
-        } else if (gameStateRef.current.isBlack(piece)) {
-          blackPieces++;
-          if (gameStateRef.current.getLegalMoves(x, y).length > 0) blackCanMove = true;
-        }
-      }
-    }
-    if (redPieces === 0 || !redCanMove) {
-      setTimeout(() => { alert('Czarni wygrywają!'); handleReset(); }, 100);
-    } else if (blackPieces === 0 || !blackCanMove) {
-      setTimeout(() => { alert('Czerwoni wygrywają!'); handleReset(); }, 100);
+    const status = gameStateRef.current.getStatus();
+    if (status.state === 'ongoing') {
+      setGameOver(null);
+      return;
     }
-  }, [handleReset]);
+    setGameOver({ ...status, moveCount: gameStateRef.current.moveCount() });
+  }, []);
+
+  /**
+   * handleReview — close the game-over dialog and keep the final position
+   * on the board so the game can be browsed with undo/redo.
+   */
+  const handleReview = () => setGameOver(null);
 
   /**
    * initWebGPU — initialize WebGPU, create device/renderer and build scene.
    * Also creates an AI runner and starts the render loop for frames.
-   * Returned cleanup function cancels animation and pending AI operations.
+   * Resolves to a cleanup function that stops the render loop, detaches the
+   * GameState listeners and terminates the AI, hint and analysis workers.
    */
   const initWebGPU = useCallback(async () =>{
     let mounted = true;
@@ -109,51 +210,80 @@ export default function UseCheckersGame() {
     deviceRef.current = device;
     contextRef.current = context;
 
-    gameStateRef.current = new GameState();
-    cameraRef.current = new Camera(canvas);
+    const gameState = new GameState(variantRef.current);
+    gameStateRef.current = gameState;
+    cameraRef.current = new Camera(canvas, gameState.size);
+    assignColors();
     rendererRef.current = new Renderer(device, context, canvas, format);
     
     await rendererRef.current.initialize();
 
-    // Build initial instances
-    rendererRef.current.buildInstances(gameStateRef.current);
-
-    // Update UI
-    updatePlayerTurnText();
+    // Every change to the game (moves by anyone, selection, reset, undo,
+    // FEN/PDN/variant loads) refreshes the scene and the UI from here
+    const refreshView = () => {
+      if (cameraRef.current.boardSize !== gameState.size) cameraRef.current.setBoardSize(gameState.size);
+      buildScene();
+      updatePlayerTurnText();
+      checkGameOver();
+    };
+    // a hint is for one position only; a new game starts with all hints
+    const hinter = createHinter({ gameState });
+    const analyzer = createHinter({ gameState, options: ANALYSIS_OPTIONS, onProgress: handleProgress });
+    hinterRef.current = hinter;
+    analyzerRef.current = analyzer;
+    const unsubscribers = [
+      gameState.on('move', clearHint),
+      gameState.on('position', ({ reason }) => {
+        clearHint();
+        setEvaluation(null);
+        if (reason === 'undo') return;
+        hintsUsedRef.current = 0;
+        setHintsUsed(0);
+      })
+    ].concat(['move', 'select', 'position'].map(type => gameState.on(type, refreshView)),
+      ['move', 'position'].map(type => gameState.on(type, maybeAnalyze)));
+    refreshView();
     setIsInitialized(true);
-    // Create AI runner (UI-agnostic) and wire in callbacks
-    aiRunnerRef.current = createAiRunner({
-      gameState: gameStateRef.current,
+    // Create AI runner (UI-agnostic); its moves reach the view through the events
+    const aiRunner = createAiRunner({
+      gameState,
       aiColor: aiColorRef.current,
-      applyMove: (sx, sy, tx, ty, move) => gameStateRef.current.applyMove(sx, sy, tx, ty, move),
-      buildInstances: () => rendererRef.current.buildInstances(gameStateRef.current),
-      updateUI: updatePlayerTurnText,
-      checkGameOver: checkGameOver,
       initialAiMode: aiDifficultyRef.current !== 'off',
-      initialDifficulty: aiDifficultyRef.current
+      initialDifficulty: aiDifficultyRef.current,
+      onProgress: handleProgress
     });
-    if (aiDifficultyRef.current !== 'off' && aiRunnerRef.current) aiRunnerRef.current.maybeAIMove();
+    aiRunnerRef.current = aiRunner;
+    if (aiDifficultyRef.current !== 'off') aiRunner.maybeAIMove();
 
     // Start render loop
+    let frame = 0;
     function renderLoop() {
       if (!mounted) return;
       
       const { vpMatrix, eye } = cameraRef.current.getViewProjectionMatrix();
       rendererRef.current.render(vpMatrix, eye);
-      animationFrameRef.current = requestAnimationFrame(renderLoop);
+      frame = requestAnimationFrame(renderLoop);
+      animationFrameRef.current = frame;
     }
     renderLoop();
 
     // Cleanup
     return () => {
       mounted = false;
-      if (animationFrameRef.current) {
-        cancelAnimationFrame(animationFrameRef.current);
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      // this loop's own frame: after a remount the ref holds the new loop's
+      cancelAnimationFrame(frame);
+      // this mount's workers; after a remount the refs hold the new ones
+      aiRunner.dispose();
+      hinter.dispose();
+      analyzer.dispose();
+      if (spectatorRef.current) {
+        spectatorRef.current.dispose();
+        spectatorRef.current = null;
       }
-      if (aiRunnerRef.current) aiRunnerRef.current.cancel();
     };
 
-    }, [updatePlayerTurnText, checkGameOver])
+    }, [updatePlayerTurnText, checkGameOver, assignColors, buildScene, clearHint, handleProgress, maybeAnalyze])
 
   /**
    * handleCanvasClick — handle clicks on the canvas and apply game logic.
@@ -163,14 +293,29 @@ export default function UseCheckersGame() {
   const handleCanvasClick = (e) => {
     const coords = cameraRef.current.getBoardCoordinates(e.clientX, e.clientY);
     if(!coords) return;
+    // a finished game only changes through undo, reset or a new game
+    if (gameStateRef.current.getStatus().state !== 'ongoing') return;
+    // the AI's pieces are not the player's to move while it is thinking
+    if (spectatorRef.current) return;
+    if (aiDifficultyRef.current !== 'off' && gameStateRef.current.currentTurn === aiColorRef.current) return;
     const changed = gameStateRef.current.handleClick(coords.x, coords.y);
     if(!changed) return;
-    rendererRef.current.buildInstances(gameStateRef.current);
-    updatePlayerTurnText();
-    checkGameOver();
     if (aiDifficultyRef.current !== 'off' && aiRunnerRef.current) aiRunnerRef.current.maybeAIMove();
   };
 
+  /**
+   * stopSpectating — end the AI vs AI watch mode (if on); the position on
+   * the board stays.
+   */
+  const stopSpectating = () => {
+    if (!spectatorRef.current) return;
+    spectatorRef.current.dispose();
+    spectatorRef.current = null;
+    setSpectatingState(false);
+    if (gameStateRef.current) updatePlayerTurnText();
+    maybeAnalyze();
+  };
+
   /**
   * setDifficulty — change the AI difficulty (off, easy, medium, hard).
    * Resets the game state when changing difficulty and updates runner/UI.
@@ -178,6 +323,7 @@ export default function UseCheckersGame() {
    */
   const setDifficulty = (newDifficulty) => {
     // newDifficulty: 'off' | 'easy' | 'medium' | 'hard'
+    stopSpectating();
     setAiDifficulty(newDifficulty);
     aiDifficultyRef.current = newDifficulty;
     const enabled = newDifficulty !== 'off';
@@ -186,13 +332,258 @@ export default function UseCheckersGame() {
       if (enabled && aiRunnerRef.current.setDifficulty) aiRunnerRef.current.setDifficulty(newDifficulty);
     }
     if (!gameStateRef.current || !rendererRef.current) return;
-    gameStateRef.current.reset();
-    rendererRef.current.buildInstances(gameStateRef.current);
-    updatePlayerTurnText();
     if (aiRunnerRef.current) { aiRunnerRef.current.cancel(); }
+    assignColors();
+    gameStateRef.current.reset();
     if (enabled && aiRunnerRef.current) aiRunnerRef.current.maybeAIMove();
   };
 
+  /**
+   * setColorChoice — pick the human's side ('red', 'black' or 'random')
+   * and start a new game with it; the AI takes the other side.
+   */
+  const setColorChoice = (choice) => {
+    setColorChoiceState(choice);
+    colorChoiceRef.current = choice;
+    if (!gameStateRef.current || !rendererRef.current) return;
+    handleReset();
+  };
+
+  /**
+   * setSpectating — switch the AI vs AI watch mode on or off. Turning it on
+   * stops play against the AI and starts a new game between the two
+   * configured engines; turning it off leaves the board as it is.
+   */
+  const setSpectating = (enabled) => {
+    if (!enabled) {
+      stopSpectating();
+      return;
+    }
+    if (!gameStateRef.current || !rendererRef.current || spectatorRef.current) return;
+    if (aiRunnerRef.current) {
+      aiRunnerRef.current.cancel();
+      aiRunnerRef.current.setAiMode(false);
+    }
+    setAiDifficulty('off');
+    aiDifficultyRef.current = 'off';
+    spectatorRef.current = createSpectator({
+      gameState: gameStateRef.current,
+      red: spectatorEngines[PIECE_TYPES.RED],
+      black: spectatorEngines[PIECE_TYPES.BLACK],
+      speed: spectatorSpeed,
+      onPauseChange: setSpectatorPaused,
+      onProgress: handleProgress
+    });
+    setSpectatingState(true);
+    setSpectatorPaused(false);
+    cameraRef.current.viewFromSide(PIECE_TYPES.RED);
+    gameStateRef.current.reset();
+  };
+
+  /**
+   * setSpectatorEngine — change the difficulty and/or profile of one
+   * color's engine, also while a game is being watched.
+   */
+  const setSpectatorEngine = (color, settings) => {
+    setSpectatorEngines(engines => ({ ...engines, [color]: { ...engines[color], ...settings } }));
+    if (spectatorRef.current) spectatorRef.current.setEngine(color, settings);
+  };
+
+  /**
+   * setSpectatorSpeed — delay multiplier for watched games (2 = twice as
+   * fast as the normal AI pace).
+   */
+  const setSpectatorSpeed = (speed) => {
+    setSpectatorSpeedState(speed);
+    if (spectatorRef.current) spectatorRef.current.setSpeed(speed);
+  };
+
+  const toggleSpectatorPause = () => {
+    if (!spectatorRef.current) return;
+    if (spectatorRef.current.isPaused()) spectatorRef.current.resume();
+    else spectatorRef.current.pause();
+  };
+
+  const handleSpectatorStep = () => {
+    if (spectatorRef.current) spectatorRef.current.step();
+  };
+
+  /**
+   * handleHint — ask the engine for the best move of the human to move and
+   * mark it on the board with a short evaluation. Counts against the
+   * per-game hint limit once the suggestion arrives.
+   */
+  const handleHint = () => {
+    const gameState = gameStateRef.current;
+    if (!gameState || !rendererRef.current || !hinterRef.current) return;
+    if (spectatorRef.current || gameState.getStatus().state !== 'ongoing') return;
+    if (aiDifficultyRef.current !== 'off' && gameState.currentTurn === aiColorRef.current) return;
+    if (hintsUsedRef.current >= hintLimitRef.current) return;
+    setHintPending(true);
+    hinterRef.current.request(result => {
+      setHintPending(false);
+      if (!result) return;
+      hintsUsedRef.current++;
+      setHintsUsed(hintsUsedRef.current);
+      hintRef.current = result;
+      setHint(result);
+      buildScene();
+    });
+  };
+
+  /**
+   * setHintLimit — hints allowed per game (Infinity for no limit); hints
+   * already used in this game still count.
+   */
+  const setHintLimit = (limit) => {
+    setHintLimitState(limit);
+    hintLimitRef.current = limit;
+  };
+
+  /**
+   * setAnalysisMode — switch the analysis of the player's turns on or off.
+   */
+  const setAnalysisMode = (enabled) => {
+    setAnalysisModeState(enabled);
+    analysisModeRef.current = enabled;
+    maybeAnalyze();
+  };
+
+  /**
+   * handleUndo — take back a move. Against the AI this rolls back to the
+   * human's last decision point (AI replies are undone along with it);
+   * without AI it undoes a single hop.
+   */
+  const handleUndo = () => {
+    if (!gameStateRef.current || !rendererRef.current) return;
+    if (aiRunnerRef.current) aiRunnerRef.current.cancel();
+    const aiEnabled = aiDifficultyRef.current !== 'off';
+    const humanColor = aiColorRef.current === PIECE_TYPES.RED ? PIECE_TYPES.BLACK : PIECE_TYPES.RED;
+    if (aiEnabled) gameStateRef.current.undoToPlayer(humanColor);
+    else gameStateRef.current.undo();
+  };
+
+  /**
+   * handleRedo — replay an undone move; against the AI the AI's recorded
+   * replies are replayed too, and the AI resumes if it is left to move.
+   */
+  const handleRedo = () => {
+    if (!gameStateRef.current || !rendererRef.current) return;
+    if (aiRunnerRef.current) aiRunnerRef.current.cancel();
+    const aiEnabled = aiDifficultyRef.current !== 'off';
+    const humanColor = aiColorRef.current === PIECE_TYPES.RED ? PIECE_TYPES.BLACK : PIECE_TYPES.RED;
+    const changed = aiEnabled ? gameStateRef.current.redoToPlayer(humanColor) : gameStateRef.current.redo();
+    if (!changed) return;
+    if (aiEnabled && aiRunnerRef.current) aiRunnerRef.current.maybeAIMove();
+  };
+
+  /**
+   * handleExportPDN — download the game played so far as a PDN file.
+   * Player tags name the human and the AI level when playing against AI.
+   */
+  const handleExportPDN = () => {
+    if (!gameStateRef.current) return;
+    const aiLabel = `AI (${aiDifficultyRef.current})`;
+    const aiEnabled = aiDifficultyRef.current !== 'off';
+    const engineLabel = ({ difficulty, profile }) => `AI (${difficulty}, ${profile})`;
+    const players = spectatorRef.current
+      ? { White: engineLabel(spectatorEngines[PIECE_TYPES.RED]), Black: engineLabel(spectatorEngines[PIECE_TYPES.BLACK]) }
+      : {
+        White: aiEnabled && aiColorRef.current === PIECE_TYPES.RED ? aiLabel : 'Gracz',
+        Black: aiEnabled && aiColorRef.current === PIECE_TYPES.BLACK ? aiLabel : 'Gracz'
+      };
+    const pdn = exportPDN(gameStateRef.current, { Event: 'Warcaby — WebGPU 3D', ...players });
+    const url = URL.createObjectURL(new Blob([pdn], { type: 'application/x-pdn' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'partia.pdn';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  /**
+   * handleImportPDN — load the first game of a PDN file for replay.
+   * The AI is switched off, the game is rewound to its start position and
+   * the moves can then be stepped through with redo.
+   */
+  const handleImportPDN = async (file) => {
+    if (!file || !gameStateRef.current || !rendererRef.current) return;
+    stopSpectating();
+    if (aiRunnerRef.current) {
+      aiRunnerRef.current.cancel();
+      aiRunnerRef.current.setAiMode(false);
+    }
+    setAiDifficulty('off');
+    aiDifficultyRef.current = 'off';
+
+    const gameState = gameStateRef.current;
+    try {
+      const [game] = parsePDN(await file.text());
+      if (!game) throw new Error('brak partii w pliku');
+      loadPDNGame(gameState, game);
+      while (gameState.undo());
+      setLoadError(null);
+    } catch (e) {
+      setLoadError(`Nie udało się wczytać PDN: ${e.message}`);
+      gameState.reset();
+    }
+
+    setVariantState(gameState.variant.id);
+    variantRef.current = gameState.variant.id;
+  };
+
+  const dismissLoadError = () => setLoadError(null);
+
+  /**
+   * getFEN — the current position as FEN, without touching the clipboard
+   * (e.g. as the default value of the load prompt).
+   */
+  const getFEN = () => (gameStateRef.current ? gameStateRef.current.toFEN() : '');
+
+  /**
+   * handleCopyFEN — copy the current position as FEN to the clipboard
+   * (for bug reports and test positions). Returns the FEN string.
+   */
+  const handleCopyFEN = () => {
+    if (!gameStateRef.current) return '';
+    const fen = getFEN();
+    if (navigator.clipboard) navigator.clipboard.writeText(fen).catch(() => {});
+    return fen;
+  };
+
+  /**
+   * handleLoadFEN — set up the position from a FEN string in the current
+   * variant; the AI moves next if it is its turn. Malformed FEN leaves the
+   * game untouched and reports the problem.
+   */
+  const handleLoadFEN = (fen) => {
+    if (!fen || !gameStateRef.current || !rendererRef.current) return;
+    if (aiRunnerRef.current) aiRunnerRef.current.cancel();
+    try {
+      gameStateRef.current.fromFEN(fen);
+    } catch (e) {
+      setLoadError(`Nieprawidłowy FEN: ${e.message}`);
+      return;
+    }
+    setLoadError(null);
+    if (aiDifficultyRef.current !== 'off' && aiRunnerRef.current) aiRunnerRef.current.maybeAIMove();
+  };
+
+  /**
+   * setVariant — pick the rule variant and start a new game with it.
+   * The same GameState instance is reused so the renderer and AI runner
+   * keep their references; pending AI moves are cancelled first.
+   */
+  const setVariant = (newVariant) => {
+    setVariantState(newVariant);
+    variantRef.current = newVariant;
+    if (!gameStateRef.current || !rendererRef.current) return;
+    if (aiRunnerRef.current) aiRunnerRef.current.cancel();
+    assignColors();
+    gameStateRef.current.setVariant(newVariant);
+    if (aiDifficultyRef.current !== 'off' && aiRunnerRef.current) aiRunnerRef.current.maybeAIMove();
+  };
+
   return {
     canvasRef, 
     initWebGPU, 
@@ -202,6 +593,41 @@ export default function UseCheckersGame() {
     isInitialized, 
     aiDifficulty,
     setDifficulty,
+    colorChoice,
+    setColorChoice,
+    spectating,
+    setSpectating,
+    spectatorEngines,
+    setSpectatorEngine,
+    spectatorPaused,
+    toggleSpectatorPause,
+    handleSpectatorStep,
+    spectatorSpeed,
+    setSpectatorSpeed,
+    hint,
+    hintPending,
+    hintLimit,
+    setHintLimit,
+    hintsUsed,
+    handleHint,
+    evaluation,
+    analysisMode,
+    setAnalysisMode,
+    variant,
+    setVariant,
+    canUndo,
+    canRedo,
+    handleUndo,
+    handleRedo,
+    handleExportPDN,
+    handleImportPDN,
+    getFEN,
+    handleCopyFEN,
+    handleLoadFEN,
+    gameOver,
+    handleReview,
+    loadError,
+    dismissLoadError,
     handleCanvasClick,
   }
 }
\ No newline at end of file
@@ -1,45 +1,54 @@
-import { PIECE_TYPES, BOARD_SIZE } from '../constants/constants.js';
+import { PIECE_TYPES } from '../constants/constants.js';
+import Bitboard from './bitboard.js';
+import TranspositionTable, { BOUND } from './transposition.js';
+import { hashGameState } from './zobrist.js';
+import { evaluatePosition, resolveProfile } from './evaluate.js';
+import { pathText, probeBook } from './openingBook.js';
+import { probeEndgame } from './endgame.js';
 
+const WIN_SCORE = 100000;
+// endgame table results rank just below wins found by the search itself
+const TABLE_WIN = WIN_SCORE - 1000;
+// scores at least this large are forced wins (or losses when negative)
+export const DECISIVE_SCORE = TABLE_WIN - 1000;
+const MAX_PLY = 128;
+// move keys index the history table: from/to squares on boards up to 12×12
+const HISTORY_SIZE = 144 * 144;
+
+// one table reused by every search; cleared per search since scores are
+// stored from the searching side's point of view
+const table = new TranspositionTable();
+
+/**
+ * chooseAIMove — pick the AI's next move for `aiColor` as
+ * { sx, sy, tx, ty, move, path }: the first hop ready for applyMove plus
+ * `path`, every hop of the move in order (several for a multi-jump).
+ * options: difficulty ('easy' | 'medium'); for 'medium' the search deepens
+ * one ply at a time up to `depth` and, with `timeMs`, stops when the time
+ * budget runs out, keeping the best move of the last completed depth.
+ * `profile` picks the evaluation weights (a name from PROFILES in
+ * evaluate.js or a profile object).
+ * With `book`, a reply from the variant's opening book (openingBook.js) is
+ * played without searching; `bookVariety` (0..1) sets how far the choice
+ * strays from the book's main line.
+ * onProgress({ depth, done, total, bestScore, nodes, pv }) follows each
+ * root move: the depth being searched, root moves done out of total, the
+ * best score so far (for aiColor), nodes searched since the start and the
+ * principal variation of the best move as PDN move texts.
+ */
 export function chooseAIMove(gameState, aiColor, options = {}) {
-  const { difficulty = 'easy', depth = 4 } = options;
+  const { difficulty = 'easy', depth = 4, timeMs = 0, profile = null, onProgress = null } = options;
+  if (options.book && gameState.currentTurn === aiColor) {
+    const fromBook = probeBook(gameState, collectMovesForColor(gameState, aiColor), { variety: options.bookVariety });
+    if (fromBook) return fromBook;
+  }
   if (difficulty === 'easy') return chooseAIMoveEasy(gameState, aiColor);
-  if (difficulty === 'medium') return chooseAIMoveMedium(gameState, aiColor, depth);
+  if (difficulty === 'medium') return chooseAIMoveMedium(gameState, aiColor, { depth, timeMs, profile, onProgress });
   return chooseAIMoveEasy(gameState, aiColor);
 }
 
 function chooseAIMoveEasy(gameState, aiColor) {
-  const moves = [];
-  const anyCapture = gameState.hasAnyCaptureMoves(aiColor);
-
-  if (gameState.selected) {
-    const sx = gameState.selected.x;
-    const sy = gameState.selected.y;
-    const piece = gameState.getPiece(sx, sy);
-    if (piece && ((aiColor === PIECE_TYPES.BLACK && gameState.isBlack(piece)) ||
-                  (aiColor === PIECE_TYPES.RED && gameState.isRed(piece)))) {
-      const legal = gameState.getLegalMoves(sx, sy);
-      for (const m of legal) {
-        if (!anyCapture || m.jump) moves.push({ sx, sy, tx: m.x, ty: m.y, move: m });
-      }
-    }
-  }
-
-  if (moves.length === 0) {
-    for (let y = 0; y < BOARD_SIZE; y++) {
-      for (let x = 0; x < BOARD_SIZE; x++) {
-        const piece = gameState.getPiece(x, y);
-        if (piece === 0 || piece === null) continue;
-        if ((aiColor === PIECE_TYPES.BLACK && gameState.isBlack(piece)) ||
-            (aiColor === PIECE_TYPES.RED && gameState.isRed(piece))) {
-          const legal = gameState.getLegalMoves(x, y);
-          for (const m of legal) {
-            if (!anyCapture || m.jump) moves.push({ sx: x, sy: y, tx: m.x, ty: m.y, move: m });
-          }
-        }
-      }
-    }
-  }
-
+  const moves = collectMovesForColor(gameState, aiColor);
   if (moves.length === 0) return null;
 
   const jumps = moves.filter(m => m.move && m.move.jump);
@@ -47,119 +56,379 @@ function chooseAIMoveEasy(gameState, aiColor) {
   return pool[Math.floor(Math.random() * pool.length)];
 }
 
-function chooseAIMoveMedium(gameState, aiColor, maxDepth = 4) {
+function chooseAIMoveMedium(gameState, aiColor, limits) {
+  // 8×8 boards are searched on bitboards; bigger boards fall back to clones
+  const board = Bitboard.fromGameState(gameState);
+  if (board) return chooseBitboardMove(board, aiColor, limits);
+
   const initialMoves = collectMovesForColor(gameState, aiColor);
   if (initialMoves.length === 0) return null;
 
-  let bestScore = -Infinity;
-  let bestMoves = [];
-
-  for (const mv of initialMoves) {
-    const s = gameState.clone();
-    s.applyMove(mv.sx, mv.sy, mv.tx, mv.ty, mv.move);
-    const score = minimax(s, maxDepth - 1, -Infinity, Infinity, aiColor);
-    if (score > bestScore) {
-      bestScore = score;
-      bestMoves = [mv];
-    } else if (score === bestScore) {
-      bestMoves.push(mv);
+  const bestMoves = deepen(statePosition(gameState), initialMoves, aiColor, limits);
+  return bestMoves[Math.floor(Math.random() * bestMoves.length)];
+}
+
+/**
+ * deepen — iterative deepening over the root moves of a search position
+ * (see statePosition); a depth cut short by the time budget is discarded.
+ * Returns the equally best moves of the last completed depth.
+ */
+function deepen(pos, rootMoves, aiColor, { depth, timeMs, profile, onProgress }) {
+  if (rootMoves.length === 1) return rootMoves;
+  const search = {
+    deadline: timeMs ? Date.now() + timeMs : Infinity,
+    nodes: 0,
+    abortable: false,
+    aborted: false,
+    table,
+    profile: resolveProfile(profile),
+    killers: new Int32Array(MAX_PLY * 2).fill(-1),
+    history: new Int32Array(HISTORY_SIZE)
+  };
+  table.clear();
+  let best = rootMoves;
+  let ordered = rootMoves;
+
+  for (let d = 1; d <= depth; d++) {
+    // the first depth always completes so there is a move to play
+    search.abortable = d > 1;
+    let bestScore = -Infinity;
+    let bestMoves = [];
+    let pv = [];
+    const scores = new Map();
+    for (let i = 0; i < ordered.length; i++) {
+      // moves scoring below the best so far only need to be proven worse;
+      // equal scores stay exact so ties can be broken at random
+      pos.makeMove(ordered[i]);
+      const score = alphaBeta(pos, d - 1, bestScore - 1, Infinity, aiColor, search, 1);
+      pos.unmakeMove();
+      if (search.aborted) break;
+      scores.set(ordered[i], score);
+      if (score > bestScore) {
+        bestScore = score;
+        bestMoves = [ordered[i]];
+        if (onProgress) pv = principalVariation(pos, ordered[i], d, search);
+      } else if (score === bestScore) {
+        bestMoves.push(ordered[i]);
+      }
+      if (onProgress) onProgress({ depth: d, done: i + 1, total: ordered.length, bestScore, nodes: search.nodes, pv });
     }
+    if (search.aborted) break;
+    best = bestMoves;
+    // the next depth starts with the moves that looked best at this one
+    ordered = ordered.slice().sort((a, b) => scores.get(b) - scores.get(a));
+    // a forced result will not change with more depth
+    if (Math.abs(bestScore) >= DECISIVE_SCORE || Date.now() >= search.deadline) break;
   }
+  return best;
+}
 
-  return bestMoves[Math.floor(Math.random() * bestMoves.length)];
+/**
+ * lookup — transposition table probe for a node searched to `depth` with
+ * the window { alpha, beta }. Returns the stored score when it decides the
+ * node (the window is narrowed otherwise) and sets window.best to the
+ * stored best move index (-1 if none).
+ */
+function lookup(search, lo, hi, depth, window) {
+  const slot = search.table.probe(lo, hi);
+  window.best = slot >= 0 ? search.table.best[slot] : -1;
+  if (slot < 0 || search.table.depth[slot] < depth) return null;
+  const score = search.table.score[slot];
+  const bound = search.table.bound[slot];
+  if (bound === BOUND.EXACT) return score;
+  if (bound === BOUND.LOWER) window.alpha = Math.max(window.alpha, score);
+  else window.beta = Math.min(window.beta, score);
+  return window.alpha >= window.beta ? score : null;
+}
+
+/**
+ * remember — store a finished node: the bound type follows from where
+ * the value fell against the original window.
+ */
+function remember(search, lo, hi, depth, alpha, beta, value, best) {
+  if (search.aborted) return;
+  const bound = value <= alpha ? BOUND.UPPER : value >= beta ? BOUND.LOWER : BOUND.EXACT;
+  search.table.store(lo, hi, depth, bound, value, best);
 }
 
+/**
+ * orderMoves — indices of `moves` in search order: the transposition
+ * table's best move, then captures (longest first) and promotions, the
+ * killer moves of this ply, and the rest by history score. keyOf maps a
+ * move to its history key; tacticalOf rates captures and promotions (0 for
+ * quiet moves).
+ */
+function orderMoves(moves, search, ply, ttBest, keyOf, tacticalOf) {
+  const scores = new Float64Array(moves.length);
+  const killer1 = ply < MAX_PLY ? search.killers[ply * 2] : -1;
+  const killer2 = ply < MAX_PLY ? search.killers[ply * 2 + 1] : -1;
+  const order = [];
+  for (let i = 0; i < moves.length; i++) {
+    const key = keyOf(moves[i]);
+    const tactical = tacticalOf(moves[i]);
+    if (i === ttBest) scores[i] = Infinity;
+    else if (tactical > 0) scores[i] = 2e9 + tactical;
+    else if (key === killer1) scores[i] = 1e9 + 1;
+    else if (key === killer2) scores[i] = 1e9;
+    else scores[i] = search.history[key];
+    order.push(i);
+  }
+  return order.sort((a, b) => scores[b] - scores[a]);
+}
+
+/**
+ * recordCutoff — a quiet move refuted the opponent: remember it as a
+ * killer for this ply and raise its history score.
+ */
+function recordCutoff(search, ply, key, depth) {
+  if (ply < MAX_PLY && search.killers[ply * 2] !== key) {
+    search.killers[ply * 2 + 1] = search.killers[ply * 2];
+    search.killers[ply * 2] = key;
+  }
+  search.history[key] += depth * depth;
+}
+
+/**
+ * outOfTime — node counter and clock check done by every alphaBeta call;
+ * once the deadline has passed the whole search unwinds.
+ */
+function outOfTime(search) {
+  if ((++search.nodes & 255) === 0 && search.abortable && Date.now() >= search.deadline) search.aborted = true;
+  return search.aborted;
+}
+
+/**
+ * collectMovesForColor — all moves the color may play in this position,
+ * a capture being its whole sequence so one move is one ply of search.
+ * Delegates to GameState so forced capture, the maximum-capture rule and
+ * multi-jump continuation match what the human player is allowed.
+ */
 function collectMovesForColor(gameState, color) {
-  const moves = [];
-  const anyCapture = gameState.hasAnyCaptureMoves(color);
-
-  if (gameState.selected) {
-    const sx = gameState.selected.x;
-    const sy = gameState.selected.y;
-    const piece = gameState.getPiece(sx, sy);
-    if (piece && ((color === PIECE_TYPES.BLACK && gameState.isBlack(piece)) ||
-                  (color === PIECE_TYPES.RED && gameState.isRed(piece)))) {
-      const legal = gameState.getLegalMoves(sx, sy);
-      for (const m of legal) {
-        if (!anyCapture || m.jump) moves.push({ sx, sy, tx: m.x, ty: m.y, move: m });
-      }
-    }
-    return moves;
+  if (gameState.mustCapture(color)) {
+    return gameState.getBestCaptureSequences(color).map(seq => ({
+      sx: seq.sx, sy: seq.sy, tx: seq.path[0].x, ty: seq.path[0].y, move: seq.path[0], path: seq.path
+    }));
   }
+  return gameState.getAllAllowedMoves(color).map(m => ({ ...m, path: [m.move] }));
+}
 
-  for (let y = 0; y < BOARD_SIZE; y++) {
-    for (let x = 0; x < BOARD_SIZE; x++) {
-      const piece = gameState.getPiece(x, y);
-      if (piece === 0 || piece === null) continue;
-      if ((color === PIECE_TYPES.BLACK && gameState.isBlack(piece)) ||
-          (color === PIECE_TYPES.RED && gameState.isRed(piece))) {
-        const legal = gameState.getLegalMoves(x, y);
-        for (const m of legal) {
-          if (!anyCapture || m.jump) moves.push({ sx: x, sy: y, tx: m.x, ty: m.y, move: m });
-        }
-      }
-    }
+/**
+ * playMove — apply every hop of a collectMovesForColor move.
+ */
+function playMove(gameState, mv) {
+  let x = mv.sx;
+  let y = mv.sy;
+  for (const hop of mv.path) {
+    gameState.applyMove(x, y, hop.x, hop.y, hop);
+    x = hop.x;
+    y = hop.y;
   }
-  return moves;
-}
-
-function evaluateState(gameState, aiColor) {
-  const PIECE_VALUE = { man: 100, king: 300 };
-  let score = 0;
-
-  for (let y = 0; y < BOARD_SIZE; y++) {
-    for (let x = 0; x < BOARD_SIZE; x++) {
-      const p = gameState.getPiece(x, y);
-      if (!p || p === PIECE_TYPES.EMPTY) continue;
-      if (gameState.isRed(p)) {
-        const v = (p === PIECE_TYPES.RED_KING) ? PIECE_VALUE.king : PIECE_VALUE.man;
-        score += (aiColor === PIECE_TYPES.RED) ? v : -v;
-      } else if (gameState.isBlack(p)) {
-        const v = (p === PIECE_TYPES.BLACK_KING) ? PIECE_VALUE.king : PIECE_VALUE.man;
-        score += (aiColor === PIECE_TYPES.BLACK) ? v : -v;
-      }
-    }
+}
+
+/**
+ * principalVariation — PDN texts of the principal variation after the root
+ * move `first`: the transposition table's best moves followed from the
+ * position it leads to, at most `depth` moves in all.
+ */
+function principalVariation(pos, first, depth, search) {
+  const line = [first];
+  pos.makeMove(first);
+  while (line.length < depth && !pos.isDraw()) {
+    const { lo, hi } = pos.hash();
+    const slot = search.table.probe(lo, hi);
+    if (slot < 0) break;
+    const mv = pos.generateMoves()[search.table.best[slot]];
+    if (!mv) break;
+    line.push(mv);
+    pos.makeMove(mv);
   }
+  for (let i = 0; i < line.length; i++) pos.unmakeMove();
+  return line.map(pos.moveText);
+}
 
-  const myMoves = collectMovesForColor(gameState, aiColor).length;
-  const oppColor = aiColor === PIECE_TYPES.RED ? PIECE_TYPES.BLACK : PIECE_TYPES.RED;
-  const oppMoves = collectMovesForColor(gameState, oppColor).length;
-  score += (myMoves - oppMoves) * 5;
+/**
+ * evaluateState — evaluatePosition on a GameState (jumped pieces of an
+ * unfinished multi-jump already count as lost).
+ */
+function evaluateState(gameState, aiColor, profile) {
+  const view = {
+    size: gameState.size,
+    variant: gameState.variant,
+    pieceAt: (x, y) => (gameState.isTaken(x, y) ? PIECE_TYPES.EMPTY : gameState.getPiece(x, y)),
+    countMoves: color => collectMovesForColor(gameState, color).length
+  };
+  return evaluatePosition(view, aiColor, profile);
+}
+
+/**
+ * statePosition — the search's view of a GameState: every move is played
+ * on a clone, so the game itself is never changed. A position offers
+ * turn(), isDraw(), probe() (endgame table byte or -1), generateMoves(),
+ * makeMove/unmakeMove, hash() as { lo, hi }, isCapture(move),
+ * evaluate(color, profile), keyOf/tacticalOf for move ordering (see
+ * orderMoves) and moveText(move) in PDN.
+ */
+function statePosition(gameState) {
+  const { size } = gameState;
+  const stack = [];
+  let state = gameState;
+  return {
+    turn: () => state.currentTurn,
+    isDraw: () => !!state.getDraw(),
+    probe: () => -1,
+    generateMoves: () => collectMovesForColor(state, state.currentTurn),
+    makeMove(mv) {
+      stack.push(state);
+      state = state.clone();
+      playMove(state, mv);
+    },
+    unmakeMove() {
+      state = stack.pop();
+    },
+    hash: () => hashGameState(state),
+    isCapture: mv => mv.move.jump,
+    evaluate: (color, profile) => evaluateState(state, color, profile),
+    keyOf(mv) {
+      const last = mv.path[mv.path.length - 1];
+      return ((mv.sy * size + mv.sx) * size + last.y) * size + last.x;
+    },
+    tacticalOf(mv) {
+      if (mv.move.jump) return 2 + mv.path.length;
+      const piece = state.getPiece(mv.sx, mv.sy);
+      return !state.isKing(piece) && state.isPromotionRow(piece, mv.ty) ? 1 : 0;
+    },
+    moveText: mv => pathText(mv, size)
+  };
+}
 
-  return score;
+/**
+ * bitboardPosition — statePosition for a Bitboard, made and unmade in
+ * place; positions in the endgame tables are probed.
+ */
+function bitboardPosition(board) {
+  return {
+    turn: () => board.turn,
+    isDraw: () => board.isDraw(),
+    probe: () => probeEndgame(board),
+    generateMoves: () => board.generateMoves(),
+    makeMove: mv => board.makeMove(mv),
+    unmakeMove: () => board.unmakeMove(),
+    hash: () => ({ lo: board.hashLo, hi: board.hashHi }),
+    isCapture: mv => mv.captures > 0,
+    evaluate: (color, profile) => evaluatePosition(board, color, profile),
+    keyOf: m => m.from * 32 + m.to,
+    tacticalOf: m => (m.captures ? 2 + m.captures * 4 + m.kingsCaptured : 0) + (m.crowned ? 1 : 0),
+    moveText: mv => pathText(board.toGameMove(mv), 8) // bitboards are 8×8 only
+  };
 }
 
-function minimax(state, depth, alpha, beta, aiColor) {
-  const currentColor = state.currentTurn;
-  const moves = collectMovesForColor(state, currentColor);
+/**
+ * alphaBeta — minimax with alpha-beta pruning over whole moves of a search
+ * position, scored for aiColor: transposition table, move ordering with
+ * killers and history, and a capture-only quiescence past the horizon.
+ */
+function alphaBeta(pos, depth, alpha, beta, aiColor, search, ply) {
+  if (outOfTime(search)) return 0;
+  // drawn positions (repetition, move limits) are worth nothing to either side
+  if (pos.isDraw()) return 0;
+  const known = pos.probe();
+  if (known >= 0) return endgameScore(known, pos.turn(), aiColor, ply);
+
+  const currentColor = pos.turn();
+  const moves = pos.generateMoves();
   if (moves.length === 0) {
-    if (currentColor === aiColor) return -100000; 
-    return 100000; 
+    if (currentColor === aiColor) return -WIN_SCORE;
+    return WIN_SCORE;
   }
 
-  if (depth <= 0) return evaluateState(state, aiColor);
-
-  if (currentColor === aiColor) {
-    let value = -Infinity;
-    for (const mv of moves) {
-      const s = state.clone();
-      s.applyMove(mv.sx, mv.sy, mv.tx, mv.ty, mv.move);
-      const childVal = minimax(s, depth - 1, alpha, beta, aiColor);
-      value = Math.max(value, childVal);
-      alpha = Math.max(alpha, value);
-      if (alpha >= beta) break;
+  // quiescence: past the horizon only forced captures are searched on
+  if (depth <= 0 && !pos.isCapture(moves[0])) return pos.evaluate(aiColor, search.profile);
+  depth = Math.max(depth, 0);
+
+  const { lo, hi } = pos.hash();
+  const window = { alpha, beta, best: -1 };
+  const stored = lookup(search, lo, hi, depth, window);
+  if (stored !== null) return stored;
+
+  const maximizing = currentColor === aiColor;
+  let value = maximizing ? -Infinity : Infinity;
+  let best = -1;
+  for (const i of orderMoves(moves, search, ply, window.best, pos.keyOf, pos.tacticalOf)) {
+    pos.makeMove(moves[i]);
+    const childVal = alphaBeta(pos, depth - 1, window.alpha, window.beta, aiColor, search, ply + 1);
+    pos.unmakeMove();
+    if (maximizing ? childVal > value : childVal < value) {
+      value = childVal;
+      best = i;
+    }
+    if (maximizing) window.alpha = Math.max(window.alpha, value);
+    else window.beta = Math.min(window.beta, value);
+    if (window.alpha >= window.beta) {
+      if (!pos.tacticalOf(moves[i])) recordCutoff(search, ply, pos.keyOf(moves[i]), depth);
+      break;
     }
-    return value;
-  } else {
-    let value = Infinity;
-    for (const mv of moves) {
-      const s = state.clone();
-      s.applyMove(mv.sx, mv.sy, mv.tx, mv.ty, mv.move);
-      const childVal = minimax(s, depth - 1, alpha, beta, aiColor);
-      value = Math.min(value, childVal);
-      beta = Math.min(beta, value);
-      if (alpha >= beta) break;
+  }
+  remember(search, lo, hi, depth, alpha, beta, value, best);
+  return value;
+}
+
+/**
+ * chooseBitboardMove — the search on a Bitboard, with make/unmake instead
+ * of cloning. Returns the first hop of the best move
+ * (ties broken at random) in the same shape as collectMovesForColor.
+ * Won and lost positions in the endgame tables are played from the tables.
+ */
+function chooseBitboardMove(board, aiColor, limits) {
+  let initialMoves = board.generateMoves();
+  if (initialMoves.length === 0) return null;
+
+  const known = tableMoves(board, initialMoves);
+  if (known && !known.drawn) return board.toGameMove(known.moves[Math.floor(Math.random() * known.moves.length)]);
+  // in a table draw the search picks the drawing move with the best chances
+  if (known) initialMoves = known.moves;
+
+  const bestMoves = deepen(bitboardPosition(board), initialMoves, aiColor, limits);
+  return board.toGameMove(bestMoves[Math.floor(Math.random() * bestMoves.length)]);
+}
+
+/**
+ * tableMoves — for a root position covered by the endgame tables, the
+ * moves that keep its value: the fastest wins, else every drawing move,
+ * else the slowest losses. Returns { moves, drawn }, or null when the tables
+ * do not cover the position.
+ */
+function tableMoves(board, moves) {
+  if (probeEndgame(board) < 0) return null;
+  let best = [];
+  let bestRank = -Infinity;
+  for (const mv of moves) {
+    board.makeMove(mv);
+    let byte;
+    if (board.generateMoves().length === 0) byte = 1;
+    else byte = board.isDraw() ? 0 : probeEndgame(board);
+    board.unmakeMove();
+    if (byte < 0) return null;
+    // byte - 1 is the distance for the opponent, who loses when it is even
+    let rank = 0;
+    if (byte) rank = (byte - 1) % 2 === 0 ? 1000 - byte : byte - 1000;
+    if (rank > bestRank) {
+      bestRank = rank;
+      best = [mv];
+    } else if (rank === bestRank) {
+      best.push(mv);
     }
-    return value;
   }
+  return { moves: best, drawn: bestRank === 0 };
+}
+
+/**
+ * endgameScore — score for aiColor of an endgame table byte probed with
+ * `turn` to move: wins are worth more the sooner they come.
+ */
+function endgameScore(byte, turn, aiColor, ply) {
+  if (byte === 0) return 0;
+  const distance = byte - 1;
+  const score = TABLE_WIN - ply - distance;
+  const moverWins = distance % 2 === 1;
+  return moverWins === (turn === aiColor) ? score : -score;
 }
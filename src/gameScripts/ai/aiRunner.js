@@ -1,29 +1,68 @@
 import { chooseAIMove } from './ai.js';
+import createSearchClient, { defaultCreateWorker } from './searchClient.js';
+
+const noop = () => {};
+const MOVE_DELAY = 250; // ms before the AI starts thinking about its move
+const HOP_DELAY = 200; // ms between the hops of a multi-jump and between AI moves
+
+/**
+ * DIFFICULTY — chooseAIMove options per UI difficulty level: a depth cap,
+ * a thinking time in milliseconds (the search stops at whichever comes
+ * first), the evaluation profile (see evaluate.js) and whether the opening
+ * book is used, with how varied its replies are (see openingBook.js).
+ */
+const DIFFICULTY = {
+  easy: { difficulty: 'easy', book: false },
+  medium: { difficulty: 'medium', depth: 4, timeMs: 500, profile: 'balanced', book: true, bookVariety: 1 },
+  hard: { difficulty: 'medium', depth: 20, timeMs: 2000, profile: 'balanced', book: true, bookVariety: 0.3 }
+};
+
+/**
+ * searchOptions — chooseAIMove options for a difficulty level; `profile`,
+ * when given, replaces the level's evaluation profile.
+ */
+function searchOptions(difficulty, profile) {
+  const options = DIFFICULTY[difficulty] || DIFFICULTY.easy;
+  return profile && options.difficulty !== 'easy' ? { ...options, profile } : options;
+}
 
 /**
  * createAiRunner — UI-agnostic scheduler that drives AI moves for a gameState.
- * Accepts callback hooks (applyMove, buildInstances, updateUI, checkGameOver)
- * and exposes control functions to start/stop or trigger AI operation.
+ * Accepts optional callback hooks (applyMove, buildInstances, updateUI,
+ * checkGameOver, onProgress); callers that subscribe to GameState events can
+ * omit them. The search runs in a Web Worker (see searchClient.js);
+ * cancel() aborts it.
+ * `profile` overrides the difficulty's evaluation profile and `delayScale`
+ * multiplies the pauses before moves and between hops.
  */
 export default function createAiRunner({
   gameState,
   aiColor,
-  applyMove,      
-  buildInstances, 
-  updateUI,       
-  checkGameOver,  
+  applyMove = (sx, sy, tx, ty, move) => gameState.applyMove(sx, sy, tx, ty, move),
+  buildInstances = noop,
+  updateUI = noop,
+  checkGameOver = noop,
+  onProgress = noop,
+  createWorker = defaultCreateWorker,
   initialAiMode = false,
-  initialDifficulty = 'easy'
+  initialDifficulty = 'easy',
+  profile = null,
+  delayScale = 1
 }) {
   let aiMode = initialAiMode;
   let difficulty = initialDifficulty; // 'easy' | 'medium' | 'hard'
+  let aiSide = aiColor;
+  let profileOverride = profile;
+  let scale = delayScale;
   let timeout = null;
+  const client = createSearchClient({ createWorker });
 
   function clearPending() {
     if (timeout) {
       clearTimeout(timeout);
       timeout = null;
     }
+    client.cancel();
   }
 
   function setAiMode(enabled) {
@@ -32,37 +71,86 @@ export default function createAiRunner({
   }
 
   function setDifficulty(d) {
+    clearPending();
     difficulty = d || 'easy';
   }
 
-  function chooseMove() {
-    // Map UI difficulty values to ai engine modes
-    if (difficulty === 'easy') return chooseAIMove(gameState, aiColor, { difficulty: 'easy' });
-    if (difficulty === 'medium') return chooseAIMove(gameState, aiColor, { difficulty: 'medium', depth: 4 });
-    if (difficulty === 'hard') return chooseAIMove(gameState, aiColor, { difficulty: 'medium', depth: 7 });
-    // default
-    return chooseAIMove(gameState, aiColor, { difficulty: 'easy' });
+  function setProfile(p) {
+    clearPending();
+    profileOverride = p || null;
+  }
+
+  function setDelayScale(s) {
+    scale = s;
   }
 
-  function performAIMove(delay = 250) {
+  const scaled = ms => Math.round(ms * scale);
+
+  /**
+   * setAiColor — switch the side the AI plays; call maybeAIMove afterwards
+   * so it starts when that side is to move (e.g. moves first).
+   */
+  function setAiColor(color) {
     clearPending();
-    timeout = setTimeout(() => {
-      const chosen = chooseMove();
-      if (!chosen) return;
-      applyMove(chosen.sx, chosen.sy, chosen.tx, chosen.ty, chosen.move);
+    aiSide = color;
+  }
+
+  function chooseMove() {
+    return chooseAIMove(gameState, aiSide, { ...searchOptions(difficulty, profileOverride), onProgress });
+  }
+
+  /**
+   * playMove — play the chosen move hop by hop, HOP_DELAY apart, so every
+   * jump of a multi-capture is shown; the next search starts only once the
+   * whole move is on the board (and only if the AI is still to move).
+   */
+  function playMove(chosen) {
+    if (!chosen) return;
+    const hops = chosen.path || [chosen.move];
+    let x = chosen.sx;
+    let y = chosen.sy;
+
+    function playHop(i) {
+      timeout = null;
+      const hop = hops[i];
+      // the position may have changed since the search started
+      if (gameState.currentTurn !== aiSide) return;
+      if (!gameState.getAllowedMoves(x, y).some(m => m.x === hop.x && m.y === hop.y)) return;
+      applyMove(x, y, hop.x, hop.y, hop);
       buildInstances();
       updateUI();
       checkGameOver();
+      x = hop.x;
+      y = hop.y;
 
-      if (aiMode && gameState.currentTurn === aiColor) {
-        performAIMove(200);
+      if (i + 1 < hops.length && gameState.inSequence) {
+        timeout = setTimeout(() => playHop(i + 1), scaled(HOP_DELAY));
+      } else if (aiMode && gameState.currentTurn === aiSide) {
+        performAIMove(HOP_DELAY);
       }
-    }, delay);
+    }
+    playHop(0);
+  }
+
+  function performAIMove(delay = MOVE_DELAY) {
+    clearPending();
+    timeout = setTimeout(() => {
+      timeout = null;
+      if (gameState.getStatus().state !== 'ongoing') return;
+      client.search({
+        gameState,
+        color: aiSide,
+        options: searchOptions(difficulty, profileOverride),
+        onProgress,
+        onResult: playMove
+      });
+    }, scaled(delay));
   }
 
   function maybeAIMove() {
     if (!aiMode) return;
-    if (gameState.currentTurn === aiColor) {
+    if (gameState.getStatus().state !== 'ongoing') return;
+    if (gameState.currentTurn === aiSide) {
       performAIMove();
     }
   }
@@ -71,5 +159,18 @@ export default function createAiRunner({
     clearPending();
   }
 
-  return { setAiMode, setDifficulty, maybeAIMove, performAIMove, cancel, chooseMove };
+  /**
+   * dispose — cancel everything and shut the idle worker down; the runner
+   * is not used afterwards.
+   */
+  function dispose() {
+    aiMode = false;
+    clearPending();
+    client.dispose();
+  }
+
+  return {
+    setAiMode, setDifficulty, setProfile, setDelayScale, setAiColor,
+    maybeAIMove, performAIMove, cancel, dispose, chooseMove
+  };
 }
@@ -0,0 +1,25 @@
+import GameState from '../gameState.js';
+import { chooseAIMove } from './ai.js';
+import { tablesForSearch } from './endgame.js';
+
+/**
+ * AI worker — runs the search off the main thread.
+ * In:  { type: 'search', id, position: GameState.serialize(), color, options }
+ * Out: { type: 'progress', id, done, total, bestScore } while searching,
+ *      then { type: 'result', id, move } or { type: 'error', id, message }.
+ * A search cannot be interrupted; the runner aborts by terminating the worker.
+ * Endgame tables (endgame.js) are fetched once per variant.
+ */
+self.onmessage = async ({ data }) => {
+  if (!data || data.type !== 'search') return;
+  const { id, position, color, options } = data;
+  try {
+    const gameState = GameState.deserialize(position);
+    await tablesForSearch(gameState);
+    const onProgress = progress => self.postMessage({ type: 'progress', id, ...progress });
+    const move = chooseAIMove(gameState, color, { ...options, onProgress });
+    self.postMessage({ type: 'result', id, move });
+  } catch (e) {
+    self.postMessage({ type: 'error', id, message: e.message });
+  }
+};
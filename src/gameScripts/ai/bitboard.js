@@ -0,0 +1,395 @@
+import { PIECE_TYPES } from '../constants/constants.js';
+import { PROMOTION } from '../constants/variants.js';
+import { squareCoords, squareNumber } from '../notation/squares.js';
+import { PIECE_KEYS, PINNED_KEYS, TAKEN_KEYS, TURN_KEY, pieceKey } from './zobrist.js';
+
+/**
+ * Bitboard position for AI search on 8×8 boards.
+ * The 32 playable squares map to the bits of a 32-bit integer (bit n-1 is
+ * PDN square n, see squares.js); red, black, kings and taken are masks.
+ */
+
+const SIZE = 8;
+const SQUARES = 32;
+const DIRECTIONS = [[-1, -1], [1, -1], [-1, 1], [1, 1]];
+const ALL_DIRECTIONS = [0, 1, 2, 3];
+// red men move up the board (decreasing y), black men move down
+const FORWARD = { [PIECE_TYPES.RED]: [0, 1], [PIECE_TYPES.BLACK]: [2, 3] };
+const NO_SQUARES = [];
+
+const COORDS = [];
+for (let sq = 0; sq < SQUARES; sq++) COORDS.push(squareCoords(sq + 1, SIZE));
+
+// RAYS[dir][sq] — squares along the diagonal from sq in direction dir, nearest first
+const RAYS = DIRECTIONS.map(([dx, dy]) => COORDS.map(({ x, y }) => {
+  const ray = [];
+  for (let nx = x + dx, ny = y + dy; nx >= 0 && nx < SIZE && ny >= 0 && ny < SIZE; nx += dx, ny += dy) {
+    ray.push(squareNumber(nx, ny, SIZE) - 1);
+  }
+  return ray;
+}));
+
+function rowMask(y) {
+  let mask = 0;
+  COORDS.forEach((c, sq) => { if (c.y === y) mask |= 1 << sq; });
+  return mask;
+}
+
+const SQUARE_AT = new Int8Array(SIZE * SIZE).fill(-1);
+COORDS.forEach(({ x, y }, sq) => { SQUARE_AT[y * SIZE + x] = sq; });
+
+const PROMOTION_ROW = { [PIECE_TYPES.RED]: rowMask(0), [PIECE_TYPES.BLACK]: rowMask(SIZE - 1) };
+
+/**
+ * popcount — number of set bits in a 32-bit mask.
+ */
+export function popcount(mask) {
+  let m = mask - ((mask >>> 1) & 0x55555555);
+  m = (m & 0x33333333) + ((m >>> 2) & 0x33333333);
+  return (((m + (m >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+function opposite(color) {
+  return color === PIECE_TYPES.RED ? PIECE_TYPES.BLACK : PIECE_TYPES.RED;
+}
+
+function pieceOf(color, king) {
+  if (color === PIECE_TYPES.RED) return king ? PIECE_TYPES.RED_KING : PIECE_TYPES.RED;
+  return king ? PIECE_TYPES.BLACK_KING : PIECE_TYPES.BLACK;
+}
+
+/**
+ * Bitboard — search-side twin of GameState for 8×8 variants.
+ * Moves are whole turns (a capture move is the complete sequence) and are
+ * played with makeMove/unmakeMove instead of cloning. Rules follow the same
+ * variant definition as GameState.
+ */
+export default class Bitboard {
+  constructor(variant) {
+    this.variant = variant;
+    this.size = SIZE;
+    this.red = 0;
+    this.black = 0;
+    this.kings = 0;
+    this.taken = 0;   // pieces jumped in an unfinished multi-jump (still on the board)
+    this.pinned = -1; // square of the piece that must continue that multi-jump
+    this.turn = variant.firstTurn;
+    this.quietKingPlies = 0;
+    // Zobrist hash halves (see zobrist.js), updated incrementally by makeMove
+    this.hashLo = 0;
+    this.hashHi = 0;
+    this.undoStack = [];
+    // hashes (lo, hi) of the positions from the last irreversible move on,
+    // the current one last; used for repetition checks
+    this.positions = [];
+  }
+
+  /**
+   * fromGameState — bitboard copy of an 8×8 GameState, including a
+   * multi-jump in progress and the recent positions for repetition checks.
+   * Returns null for other board sizes.
+   */
+  static fromGameState(gameState) {
+    if (gameState.size !== SIZE) return null;
+    const board = new Bitboard(gameState.variant);
+    board._setBoard(gameState.board);
+    board.turn = gameState.currentTurn;
+    board.quietKingPlies = gameState.quietKingPlies;
+    for (const t of gameState.taken) board.taken |= 1 << (squareNumber(t.x, t.y, SIZE) - 1);
+    if (gameState.inSequence) board.pinned = squareNumber(gameState.selected.x, gameState.selected.y, SIZE) - 1;
+    board._rehash();
+
+    // positions at the start of the recent moves (history holds one entry per hop)
+    const history = gameState.history || [];
+    const earlier = [];
+    for (let i = history.length - 1; i >= 0 && earlier.length < board.quietKingPlies; i--) {
+      if (i === 0 || history[i - 1].endsTurn) earlier.push(history[i].before);
+    }
+    const scratch = new Bitboard(gameState.variant);
+    for (const snapshot of earlier.reverse()) {
+      scratch._setBoard(snapshot.board);
+      scratch.turn = snapshot.currentTurn;
+      scratch._rehash();
+      scratch._pushPosition();
+    }
+    board.positions = scratch.positions;
+    board._pushPosition();
+    return board;
+  }
+
+  _setBoard(rows) {
+    this.red = 0;
+    this.black = 0;
+    this.kings = 0;
+    COORDS.forEach(({ x, y }, sq) => {
+      const piece = rows[y][x];
+      const bit = 1 << sq;
+      if (piece === PIECE_TYPES.RED || piece === PIECE_TYPES.RED_KING) this.red |= bit;
+      if (piece === PIECE_TYPES.BLACK || piece === PIECE_TYPES.BLACK_KING) this.black |= bit;
+      if (piece === PIECE_TYPES.RED_KING || piece === PIECE_TYPES.BLACK_KING) this.kings |= bit;
+    });
+  }
+
+  _pushPosition() {
+    this.positions.push(this.hashLo, this.hashHi);
+  }
+
+  /**
+   * _rehash — compute the Zobrist hash from scratch: pieces, side to move
+   * and an unfinished multi-jump (taken pieces and the pinned piece).
+   */
+  _rehash() {
+    this.hashLo = 0;
+    this.hashHi = 0;
+    for (let m = this.red | this.black; m; m &= m - 1) {
+      const sq = 31 - Math.clz32(m & -m);
+      const bit = 1 << sq;
+      this._togglePiece(sq, pieceOf((this.red & bit) ? PIECE_TYPES.RED : PIECE_TYPES.BLACK, (this.kings & bit) !== 0));
+    }
+    for (let m = this.taken; m; m &= m - 1) this._toggleKey(TAKEN_KEYS, (31 - Math.clz32(m & -m)) * 2);
+    if (this.pinned >= 0) this._toggleKey(PINNED_KEYS, this.pinned * 2);
+    if (this.turn === PIECE_TYPES.BLACK) this._toggleKey(TURN_KEY, 0);
+  }
+
+  _togglePiece(sq, piece) {
+    this._toggleKey(PIECE_KEYS, pieceKey(sq, piece));
+  }
+
+  _toggleKey(table, offset) {
+    this.hashLo ^= table[offset];
+    this.hashHi ^= table[offset + 1];
+  }
+
+  /**
+   * generateMoves — every move the color may play as whole turns:
+   * { from, to, path, victims, captures, kingsCaptured, crowned } with path
+   * the landing squares and victims the jumped squares in order. Forced and
+   * maximum capture, king priority and a pinned multi-jump apply.
+   */
+  generateMoves(color = this.turn) {
+    const own = (color === PIECE_TYPES.RED ? this.red : this.black) & ~this.taken;
+    const moves = [];
+
+    if (this.pinned >= 0 && color === this.turn) {
+      this._collectCaptures(this.pinned, color, moves);
+      return this._bestCaptures(moves);
+    }
+
+    for (let m = own; m; m &= m - 1) this._collectCaptures(31 - Math.clz32(m & -m), color, moves);
+    if (moves.length && this.variant.mandatoryCapture) return this._bestCaptures(moves);
+
+    const occupied = this.red | this.black;
+    const promotionRow = PROMOTION_ROW[color];
+    for (let m = own; m; m &= m - 1) {
+      const from = 31 - Math.clz32(m & -m);
+      const king = (this.kings & (1 << from)) !== 0;
+      const flying = king && this.variant.flyingKings;
+      for (const dir of king ? ALL_DIRECTIONS : FORWARD[color]) {
+        for (const to of RAYS[dir][from]) {
+          if (occupied & (1 << to)) break;
+          moves.push({
+            from, to, path: [to], victims: NO_SQUARES, captures: 0, kingsCaptured: 0,
+            crowned: !king && (promotionRow & (1 << to)) !== 0
+          });
+          if (!flying) break;
+        }
+      }
+    }
+    return moves;
+  }
+
+  /**
+   * _collectCaptures — every complete capture sequence of the piece on
+   * `from`, found depth first like GameState._collectSequences.
+   */
+  _collectCaptures(from, color, out) {
+    const king = (this.kings & (1 << from)) !== 0;
+    const enemy = color === PIECE_TYPES.RED ? this.black : this.red;
+    // the moving piece leaves its square, so the sequence may pass over it
+    const occupied = (this.red | this.black) & ~(1 << from);
+    this._jump(from, from, king, king, color, enemy, occupied, this.taken, 0, [], [], out);
+  }
+
+  _jump(origin, sq, king, startKing, color, enemy, occupied, taken, kingsCaptured, path, victims, out) {
+    const { promotion } = this.variant;
+    const flying = king && this.variant.flyingKings;
+    const dirs = (king || this.variant.menCaptureBackward) ? ALL_DIRECTIONS : FORWARD[color];
+    const promotionRow = PROMOTION_ROW[color];
+    let found = false;
+
+    for (const dir of dirs) {
+      const ray = RAYS[dir][sq];
+      let i = 0;
+      if (flying) while (i < ray.length && !(occupied & (1 << ray[i]))) i++;
+      if (i >= ray.length) continue;
+
+      const victim = ray[i];
+      const victimBit = 1 << victim;
+      // pieces already taken in this sequence block the line and are never jumped twice
+      if (!(enemy & victimBit) || (taken & victimBit)) continue;
+
+      for (let j = i + 1; j < ray.length; j++) {
+        const land = ray[j];
+        if (occupied & (1 << land)) break;
+        found = true;
+
+        const promotes = !king && (promotionRow & (1 << land)) !== 0;
+        const nowKing = king || (promotes && promotion !== PROMOTION.END_OF_MOVE);
+        const captured = kingsCaptured + ((this.kings & victimBit) ? 1 : 0);
+        path.push(land);
+        victims.push(victim);
+        if (promotes && promotion === PROMOTION.ENDS_MOVE) {
+          this._recordCapture(origin, startKing, nowKing, color, captured, path, victims, out);
+        } else {
+          this._jump(origin, land, nowKing, startKing, color, enemy, occupied, taken | victimBit, captured, path, victims, out);
+        }
+        path.pop();
+        victims.pop();
+        if (!flying) break;
+      }
+    }
+
+    if (!found && path.length) this._recordCapture(origin, startKing, king, color, kingsCaptured, path, victims, out);
+  }
+
+  _recordCapture(from, startKing, king, color, kingsCaptured, path, victims, out) {
+    const to = path[path.length - 1];
+    out.push({
+      from, to, path: path.slice(), victims: victims.slice(),
+      captures: path.length, kingsCaptured,
+      // a man passing the far rank is crowned only where the variant says so
+      crowned: !startKing && (king || (PROMOTION_ROW[color] & (1 << to)) !== 0)
+    });
+  }
+
+  _bestCaptures(moves) {
+    if (!this.variant.maxCapture || moves.length === 0) return moves;
+    let most = 0;
+    for (const m of moves) most = Math.max(most, m.captures);
+    let best = moves.filter(m => m.captures === most);
+    if (this.variant.kingPriority) {
+      let mostKings = 0;
+      for (const m of best) mostKings = Math.max(mostKings, m.kingsCaptured);
+      best = best.filter(m => m.kingsCaptured === mostKings);
+    }
+    return best;
+  }
+
+  /**
+   * makeMove — play a move from generateMoves in place; unmakeMove takes
+   * the most recent one back.
+   */
+  makeMove(move) {
+    this.undoStack.push(this.red, this.black, this.kings, this.taken, this.pinned, this.quietKingPlies, this.hashLo, this.hashHi);
+
+    const fromBit = 1 << move.from;
+    const toBit = 1 << move.to;
+    const wasKing = (this.kings & fromBit) !== 0;
+    let removed = this.taken;
+    for (const v of move.victims) removed |= 1 << v;
+
+    // hash: moved piece, captured pieces, cleared multi-jump state, side to move
+    const enemyColor = opposite(this.turn);
+    this._togglePiece(move.from, pieceOf(this.turn, wasKing));
+    this._togglePiece(move.to, pieceOf(this.turn, wasKing || move.crowned));
+    for (let m = removed; m; m &= m - 1) {
+      const sq = 31 - Math.clz32(m & -m);
+      this._togglePiece(sq, pieceOf(enemyColor, (this.kings & (1 << sq)) !== 0));
+    }
+    for (let m = this.taken; m; m &= m - 1) this._toggleKey(TAKEN_KEYS, (31 - Math.clz32(m & -m)) * 2);
+    if (this.pinned >= 0) this._toggleKey(PINNED_KEYS, this.pinned * 2);
+    this._toggleKey(TURN_KEY, 0);
+
+    let own = this.turn === PIECE_TYPES.RED ? this.red : this.black;
+    let enemy = this.turn === PIECE_TYPES.RED ? this.black : this.red;
+    own = (own & ~fromBit) | toBit;
+    enemy &= ~removed;
+    this.kings &= ~(fromBit | removed);
+    if (wasKing || move.crowned) this.kings |= toBit;
+    if (this.turn === PIECE_TYPES.RED) {
+      this.red = own;
+      this.black = enemy;
+    } else {
+      this.black = own;
+      this.red = enemy;
+    }
+
+    this.quietKingPlies = (removed || !wasKing) ? 0 : this.quietKingPlies + 1;
+    this.taken = 0;
+    this.pinned = -1;
+    this.turn = opposite(this.turn);
+    this._pushPosition();
+  }
+
+  unmakeMove() {
+    this.positions.length -= 2;
+    this.turn = opposite(this.turn);
+    const s = this.undoStack;
+    this.hashHi = s.pop();
+    this.hashLo = s.pop();
+    this.quietKingPlies = s.pop();
+    this.pinned = s.pop();
+    this.taken = s.pop();
+    this.kings = s.pop();
+    this.black = s.pop();
+    this.red = s.pop();
+  }
+
+  /**
+   * isDraw — repetition of an earlier position since the last irreversible
+   * move, the variant's king-move limit, or a single king on each side.
+   */
+  isDraw() {
+    const p = this.positions;
+    const last = p.length - 2;
+    const oldest = Math.max(0, last - this.quietKingPlies * 2);
+    // same side to move: every second ply back
+    for (let i = last - 4; i >= oldest; i -= 4) {
+      if (p[i] === this.hashLo && p[i + 1] === this.hashHi) return true;
+    }
+
+    const { kingMoves } = this.variant.draw;
+    if (kingMoves && this.quietKingPlies >= kingMoves * 2) return true;
+
+    const loneKing = side => popcount(side) === 1 && (side & ~this.kings) === 0;
+    return loneKing(this.red) && loneKing(this.black);
+  }
+
+  /**
+   * pieceAt — PIECE_TYPES value on (x,y) like GameState.getPiece (null off
+   * the board); pieces jumped in an unfinished multi-jump read as EMPTY.
+   */
+  pieceAt(x, y) {
+    if (x < 0 || x >= SIZE || y < 0 || y >= SIZE) return null;
+    const sq = SQUARE_AT[y * SIZE + x];
+    if (sq < 0) return PIECE_TYPES.EMPTY;
+    const bit = 1 << sq;
+    if (this.taken & bit) return PIECE_TYPES.EMPTY;
+    if (this.red & bit) return pieceOf(PIECE_TYPES.RED, (this.kings & bit) !== 0);
+    if (this.black & bit) return pieceOf(PIECE_TYPES.BLACK, (this.kings & bit) !== 0);
+    return PIECE_TYPES.EMPTY;
+  }
+
+  countMoves(color) {
+    return this.generateMoves(color).length;
+  }
+
+  /**
+   * toGameMove — a move in GameState terms: { sx, sy, tx, ty, move } for
+   * the first hop (ready for applyMove) and `path` with every hop in order.
+   */
+  toGameMove(move) {
+    const from = COORDS[move.from];
+    const path = move.path.map((sq, i) => {
+      const to = COORDS[sq];
+      const hop = { x: to.x, y: to.y, jump: move.captures > 0 };
+      if (hop.jump) {
+        const victim = COORDS[move.victims[i]];
+        hop.captureX = victim.x;
+        hop.captureY = victim.y;
+      }
+      return hop;
+    });
+    return { sx: from.x, sy: from.y, tx: path[0].x, ty: path[0].y, move: path[0], path };
+  }
+}
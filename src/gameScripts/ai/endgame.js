@@ -0,0 +1,182 @@
+import { PIECE_TYPES } from '../constants/constants.js';
+import { popcount } from './bitboard.js';
+
+/**
+ * Endgame tables for 8×8 variants, generated offline by
+ * tools/buildEndgame.js into public/endgame/<variant>/.
+ *
+ * Positions are stored from the side to move's point of view: when black is
+ * to move the board is turned around (square n becomes 33 - n) and the
+ * colors swapped, so "own" pieces always move up the board. One table per
+ * material, named by the digits own men, own kings, enemy men, enemy kings
+ * ("0201" is two kings to move against one king), one byte per position:
+ *   0      draw (or no such position)
+ *   d + 1  the game ends after d more plies with best play; the side to
+ *          move wins when d is odd and loses when d is even
+ * Draws by move-count limits and repetition are not part of the tables.
+ */
+
+export const SQUARES = 32;
+// men never stand on their own promotion row: own men use squares 5..32,
+// enemy men 1..28
+export const MEN_SQUARES = 28;
+const OWN_MEN_OFFSET = 4;
+
+const BINOMIAL = [];
+for (let n = 0; n <= SQUARES; n++) {
+  BINOMIAL.push(new Float64Array(SQUARES + 1));
+  BINOMIAL[n][0] = 1;
+  for (let k = 1; k <= n; k++) BINOMIAL[n][k] = BINOMIAL[n - 1][k - 1] + BINOMIAL[n - 1][k];
+}
+
+/**
+ * binomial — n choose k (0 outside the table).
+ */
+export function binomial(n, k) {
+  return n >= 0 && k >= 0 && k <= n ? BINOMIAL[n][k] : 0;
+}
+
+/**
+ * reverseBits — a mask with square n moved to 33 - n, i.e. the board
+ * turned around.
+ */
+export function reverseBits(mask) {
+  let m = mask;
+  m = ((m >>> 1) & 0x55555555) | ((m & 0x55555555) << 1);
+  m = ((m >>> 2) & 0x33333333) | ((m & 0x33333333) << 2);
+  m = ((m >>> 4) & 0x0f0f0f0f) | ((m & 0x0f0f0f0f) << 4);
+  m = ((m >>> 8) & 0x00ff00ff) | ((m & 0x00ff00ff) << 8);
+  return ((m >>> 16) | (m << 16)) | 0;
+}
+
+/**
+ * rankSquares — colex rank of the set of squares in `mask`, counted from
+ * square `offset`.
+ */
+function rankSquares(mask, offset) {
+  let rank = 0;
+  let i = 1;
+  for (let m = mask; m; m &= m - 1) {
+    rank += BINOMIAL[31 - Math.clz32(m & -m) - offset][i++];
+  }
+  return rank;
+}
+
+/**
+ * materialKey — table name for the given piece counts.
+ */
+export function materialKey(ownMen, ownKings, enemyMen, enemyKings) {
+  return `${ownMen}${ownKings}${enemyMen}${enemyKings}`;
+}
+
+/**
+ * tableSize — number of index slots of a material (some hold overlapping
+ * pieces and stay unused).
+ */
+export function tableSize(ownMen, ownKings, enemyMen, enemyKings) {
+  return binomial(MEN_SQUARES, ownMen) * binomial(SQUARES, ownKings) *
+    binomial(MEN_SQUARES, enemyMen) * binomial(SQUARES, enemyKings);
+}
+
+/**
+ * tableIndex — { key, index } of a position given as masks with the side
+ * to move's pieces in `own`.
+ */
+export function tableIndex(own, enemy, kings) {
+  const ownKings = own & kings;
+  const ownMen = own & ~kings;
+  const enemyKings = enemy & kings;
+  const enemyMen = enemy & ~kings;
+  const om = popcount(ownMen);
+  const ok = popcount(ownKings);
+  const em = popcount(enemyMen);
+  const ek = popcount(enemyKings);
+  let index = rankSquares(ownMen, OWN_MEN_OFFSET);
+  index = index * binomial(SQUARES, ok) + rankSquares(ownKings, 0);
+  index = index * binomial(MEN_SQUARES, em) + rankSquares(enemyMen, 0);
+  index = index * binomial(SQUARES, ek) + rankSquares(enemyKings, 0);
+  return { key: materialKey(om, ok, em, ek), index };
+}
+
+/**
+ * sideToMove — { own, enemy, kings } of a Bitboard from the side to move's
+ * point of view (turned around when black is to move).
+ */
+export function sideToMove(board) {
+  if (board.turn === PIECE_TYPES.RED) return { own: board.red, enemy: board.black, kings: board.kings };
+  return { own: reverseBits(board.black), enemy: reverseBits(board.red), kings: reverseBits(board.kings) };
+}
+
+// variant id -> { pieces, tables: Map(material key -> Uint8Array) }
+const loaded = new Map();
+const loading = new Map();
+
+/**
+ * setEndgameTables — install tables for a variant directly; `tables` maps
+ * material keys to table bytes. loadEndgameTables ends here once the files
+ * are read.
+ */
+export function setEndgameTables(variantId, pieces, tables) {
+  loaded.set(variantId, { pieces, tables });
+}
+
+function defaultReadFile(path) {
+  const base = (import.meta.env && import.meta.env.BASE_URL) || '/';
+  return fetch(`${base}${path}`).then(response => {
+    if (!response.ok) throw new Error(`${path}: HTTP ${response.status}`);
+    return response.arrayBuffer();
+  });
+}
+
+/**
+ * loadEndgameTables — load the tables listed in
+ * endgame/<variant>/index.json once per variant; `readFile(path)` resolves
+ * to an ArrayBuffer (fetch from the site root by default). Resolves to
+ * false when the variant has no tables.
+ */
+export function loadEndgameTables(variantId, readFile = defaultReadFile) {
+  if (loaded.has(variantId)) return Promise.resolve(true);
+  if (!loading.has(variantId)) {
+    const dir = `endgame/${variantId}`;
+    const promise = readFile(`${dir}/index.json`)
+      .then(buffer => JSON.parse(new TextDecoder().decode(buffer)))
+      .then(index => Promise.all(index.tables.map(key => readFile(`${dir}/${key}.bin`)))
+        .then(buffers => {
+          const tables = new Map(index.tables.map((key, i) => [key, new Uint8Array(buffers[i])]));
+          setEndgameTables(variantId, index.pieces, tables);
+          return true;
+        }))
+      .catch(() => false);
+    loading.set(variantId, promise);
+  }
+  return loading.get(variantId);
+}
+
+// searches with this few pieces wait for the tables to load
+const TABLE_WAIT_PIECES = 8;
+
+/**
+ * tablesForSearch — start loading the tables of gameState's variant and
+ * resolve when a search on it may begin: once they are in with few pieces
+ * left, at once otherwise (they keep loading in the background). The worker
+ * and the main-thread fallback both wait on this, so they search alike.
+ */
+export function tablesForSearch(gameState) {
+  const tables = loadEndgameTables(gameState.variant.id);
+  const pieces = gameState.board.reduce((n, row) => n + row.filter(Boolean).length, 0);
+  return pieces <= TABLE_WAIT_PIECES ? tables : Promise.resolve(false);
+}
+
+/**
+ * probeEndgame — table byte (see above) for a Bitboard between moves, or
+ * -1 when there is no table for it.
+ */
+export function probeEndgame(board) {
+  const entry = loaded.get(board.variant.id);
+  if (!entry || board.taken || board.pinned >= 0) return -1;
+  if (popcount(board.red | board.black) > entry.pieces) return -1;
+  const { own, enemy, kings } = sideToMove(board);
+  const { key, index } = tableIndex(own, enemy, kings);
+  const table = entry.tables.get(key);
+  return table ? table[index] : -1;
+}
@@ -0,0 +1,138 @@
+import { PIECE_TYPES } from '../constants/constants.js';
+import balanced from './profiles/balanced.json' with { type: 'json' };
+import aggressive from './profiles/aggressive.json' with { type: 'json' };
+import defensive from './profiles/defensive.json' with { type: 'json' };
+
+/**
+ * Parameterized position evaluation for the AI search.
+ * Weights come from a JSON profile (see profiles/); each weight is a number
+ * or an { opening, endgame } pair interpolated by the game phase.
+ */
+
+export const PROFILES = { balanced, aggressive, defensive };
+export const DEFAULT_PROFILE = 'balanced';
+
+// men this close to the far rank are checked for a free run to promotion
+const RUNAWAY_ROWS = 3;
+const DIAGONALS = [[-1, -1], [1, -1], [-1, 1], [1, 1]];
+
+/**
+ * resolveProfile — a profile object as is, a profile name looked up in
+ * PROFILES, or the default profile.
+ */
+export function resolveProfile(profile) {
+  if (profile && typeof profile === 'object') return profile;
+  return PROFILES[profile] || PROFILES[DEFAULT_PROFILE];
+}
+
+function weight(w, phase) {
+  if (typeof w === 'number') return w;
+  return w.endgame + (w.opening - w.endgame) * phase;
+}
+
+/**
+ * phaseWeights — every weight of a profile at game phase `phase`
+ * (1 for the opening position, 0 with the board empty).
+ */
+function phaseWeights(profile, phase) {
+  const out = {};
+  for (const [term, w] of Object.entries(profile.weights)) out[term] = weight(w, phase);
+  return out;
+}
+
+function colorOf(piece) {
+  if (piece === PIECE_TYPES.RED || piece === PIECE_TYPES.RED_KING) return PIECE_TYPES.RED;
+  if (piece === PIECE_TYPES.BLACK || piece === PIECE_TYPES.BLACK_KING) return PIECE_TYPES.BLACK;
+  return null;
+}
+
+/**
+ * isRunaway — whether the man at (x,y) has no enemy piece anywhere in the
+ * cone of squares it could still reach on its way to the far rank.
+ */
+function isRunaway(view, x, y, dy, rowsLeft, enemy) {
+  for (let r = 1; r <= rowsLeft; r++) {
+    const ny = y + dy * r;
+    for (let nx = x - r; nx <= x + r; nx++) {
+      if (colorOf(view.pieceAt(nx, ny)) === enemy) return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * isExposed — whether an enemy piece next to (x,y) could jump it into the
+ * empty square on the opposite side.
+ */
+function isExposed(view, x, y, enemy) {
+  for (const [dx, dy] of DIAGONALS) {
+    if (colorOf(view.pieceAt(x + dx, y + dy)) === enemy && view.pieceAt(x - dx, y - dy) === PIECE_TYPES.EMPTY) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * evaluatePosition — score of a position for `color` (positive is good).
+ * `view` exposes size, variant, pieceAt(x, y) (EMPTY for jumped pieces,
+ * null off the board) and countMoves(color). Terms: material, back-rank
+ * defense, center control, advancement (tempo), runaway men, exposed kings
+ * and mobility.
+ */
+export function evaluatePosition(view, color, profile) {
+  const { size } = view;
+  const enemyOf = c => (c === PIECE_TYPES.RED ? PIECE_TYPES.BLACK : PIECE_TYPES.RED);
+  const centerLow = size / 2 - 2;
+  const centerHigh = size / 2 + 1;
+
+  let pieces = 0;
+  const scores = { [PIECE_TYPES.RED]: 0, [PIECE_TYPES.BLACK]: 0 };
+  const terms = { [PIECE_TYPES.RED]: [], [PIECE_TYPES.BLACK]: [] };
+
+  for (let y = 0; y < size; y++) {
+    for (let x = (y + 1) % 2; x < size; x += 2) {
+      const piece = view.pieceAt(x, y);
+      const side = colorOf(piece);
+      if (!side) continue;
+      pieces++;
+      terms[side].push(x, y, piece);
+    }
+  }
+
+  const initialPieces = 2 * view.variant.startRows * (size / 2);
+  const w = phaseWeights(profile, Math.min(1, pieces / initialPieces));
+
+  for (const side of [PIECE_TYPES.RED, PIECE_TYPES.BLACK]) {
+    const enemy = enemyOf(side);
+    const dy = side === PIECE_TYPES.RED ? -1 : 1;
+    const backRow = side === PIECE_TYPES.RED ? size - 1 : 0;
+    const list = terms[side];
+    let score = 0;
+
+    for (let i = 0; i < list.length; i += 3) {
+      const x = list[i];
+      const y = list[i + 1];
+      const king = list[i + 2] === PIECE_TYPES.RED_KING || list[i + 2] === PIECE_TYPES.BLACK_KING;
+      if (x >= centerLow && x <= centerHigh && y >= centerLow && y <= centerHigh) score += w.center;
+
+      if (king) {
+        score += w.king;
+        if (isExposed(view, x, y, enemy)) score -= w.kingExposed;
+        continue;
+      }
+
+      score += w.man;
+      const advance = Math.abs(y - backRow);
+      score += w.advance * advance;
+      if (y === backRow) score += w.backRank;
+      const rowsLeft = size - 1 - advance;
+      if (rowsLeft <= RUNAWAY_ROWS && isRunaway(view, x, y, dy, rowsLeft, enemy)) score += w.runaway;
+    }
+    scores[side] = score;
+  }
+
+  const enemy = enemyOf(color);
+  const mobility = (view.countMoves(color) - view.countMoves(enemy)) * w.mobility;
+  return Math.round(scores[color] - scores[enemy] + mobility);
+}
@@ -0,0 +1,70 @@
+import { DECISIVE_SCORE } from './ai.js';
+import createSearchClient, { defaultCreateWorker } from './searchClient.js';
+import { pathText } from './openingBook.js';
+
+const noop = () => {};
+
+/**
+ * HINT_OPTIONS — chooseAIMove options for hints: a strong search that
+ * follows the book's main line where the book knows the position.
+ */
+const HINT_OPTIONS = { difficulty: 'medium', depth: 20, timeMs: 1000, profile: 'balanced', book: true, bookVariety: 0 };
+
+/**
+ * ANALYSIS_OPTIONS — chooseAIMove options for the analysis shown during the
+ * player's turn: a longer search and no book, so there is always a score.
+ */
+export const ANALYSIS_OPTIONS = { difficulty: 'medium', depth: 20, timeMs: 5000, profile: 'balanced' };
+
+/**
+ * formatScore — a search score as text for the player it was computed for:
+ * pawns with a sign ("+0.35"), or a forced win/loss.
+ */
+export function formatScore(score) {
+  if (score >= DECISIVE_SCORE) return 'wygrana';
+  if (score <= -DECISIVE_SCORE) return 'przegrana';
+  const pawns = score / 100;
+  return `${pawns > 0 ? '+' : ''}${pawns.toFixed(2)}`;
+}
+
+/**
+ * createHinter — suggests moves for the side to move on a gameState, with
+ * the search in its own worker (the AI runner's worker stays free; see
+ * searchClient.js).
+ * request(onHint) starts a search and calls onHint({ color, move, text,
+ * score, depth }) with a chooseAIMove result and its PDN text; score (from
+ * that side's point of view) is null when no search ran, e.g. for a book
+ * move or the only legal move. A newer request or cancel() drops the search
+ * in progress; a failed search reports null.
+ * onProgress receives the search's progress reports (see chooseAIMove), so
+ * with other `options` the same searcher also drives the analysis mode.
+ */
+export default function createHinter({
+  gameState,
+  createWorker = defaultCreateWorker,
+  options = HINT_OPTIONS,
+  onProgress = noop
+}) {
+  const client = createSearchClient({ createWorker });
+
+  function request(onHint = noop) {
+    client.cancel();
+    if (gameState.getStatus().state !== 'ongoing') return;
+    const color = gameState.currentTurn;
+    let score = null;
+    let depth = 0;
+    // only completed depths count; a cut-off one may not have seen every move
+    const track = progress => {
+      onProgress(progress);
+      if (progress.done !== progress.total) return;
+      score = progress.bestScore;
+      depth = progress.depth;
+    };
+    const onResult = move => {
+      onHint(move && { color, move, text: pathText(move, gameState.size), score, depth });
+    };
+    client.search({ gameState, color, options, onProgress: track, onResult });
+  }
+
+  return { request, cancel: client.cancel, dispose: client.dispose };
+}
@@ -0,0 +1,72 @@
+import { squareNumber } from '../notation/squares.js';
+import { hashGameState } from './zobrist.js';
+import english from './books/english.json' with { type: 'json' };
+import russian from './books/russian.json' with { type: 'json' };
+import polish from './books/polish.json' with { type: 'json' };
+
+/**
+ * Opening books consulted before the AI search. A book is JSON
+ * { variant, positions } where positions maps a position key (see bookKey)
+ * to weighted replies [{ move: "11-15", weight }], moves written in PDN
+ * with every landing square of a capture ("22x15x24"). Books are built
+ * from PDN games by tools/buildBook.js. The Polish 8×8 book comes from
+ * engine self-play (tools/openings/polish.pdn), as the variant has no
+ * published opening theory; the other variants play without a book.
+ */
+
+export const BOOKS = { english, russian, polish };
+
+/**
+ * bookKey — the 64-bit Zobrist hash of a position as 16 hex digits.
+ * Books hold these keys, so they must be rebuilt if zobrist.js changes.
+ */
+export function bookKey(gameState) {
+  const { lo, hi } = hashGameState(gameState);
+  return (hi >>> 0).toString(16).padStart(8, '0') + (lo >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * pathText — PDN text of a whole move (see collectMovesForColor in ai.js),
+ * in the form book replies are written in.
+ */
+export function pathText(mv, size) {
+  const squares = [squareNumber(mv.sx, mv.sy, size)].concat(mv.path.map(h => squareNumber(h.x, h.y, size)));
+  return squares.join(mv.move.jump ? 'x' : '-');
+}
+
+/**
+ * pickWeighted — a reply drawn with probability proportional to
+ * weight^(1/variety): variety 1 follows the book's weights, smaller values
+ * favour the main line and 0 always plays the heaviest reply.
+ */
+function pickWeighted(replies, variety, random) {
+  if (variety <= 0) {
+    const top = Math.max(...replies.map(r => r.weight));
+    const best = replies.filter(r => r.weight === top);
+    return best[Math.floor(random() * best.length)];
+  }
+  const weights = replies.map(r => Math.pow(r.weight, 1 / variety));
+  let roll = random() * weights.reduce((sum, w) => sum + w, 0);
+  for (let i = 0; i < replies.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) return replies[i];
+  }
+  return replies[replies.length - 1];
+}
+
+/**
+ * probeBook — a book reply for the side to move among `moves` (whole moves
+ * with `path`), or null when the variant has no book, the position is not
+ * in it or none of its replies is legal here.
+ */
+export function probeBook(gameState, moves, { variety = 1, random = Math.random } = {}) {
+  const book = BOOKS[gameState.variant.id];
+  if (!book || gameState.inSequence) return null;
+  const entries = book.positions[bookKey(gameState)];
+  if (!entries) return null;
+
+  const byText = new Map(moves.map(mv => [pathText(mv, gameState.size), mv]));
+  const replies = entries.filter(r => r.weight > 0 && byText.has(r.move));
+  if (!replies.length) return null;
+  return byText.get(pickWeighted(replies, variety, random).move);
+}
@@ -0,0 +1,108 @@
+import GameState from '../gameState.js';
+import { chooseAIMove } from './ai.js';
+import { tablesForSearch } from './endgame.js';
+
+const noop = () => {};
+
+/**
+ * defaultCreateWorker — the module worker running aiWorker.js, or null
+ * where workers are unavailable (the search then runs on this thread).
+ */
+export function defaultCreateWorker() {
+  if (typeof Worker === 'undefined') return null;
+  return new Worker(new URL('./aiWorker.js', import.meta.url), { type: 'module' });
+}
+
+/**
+ * createSearchClient — runs chooseAIMove searches in a worker (aiWorker.js),
+ * one at a time. search({ gameState, color, options, onProgress, onResult })
+ * starts a search for `color` on the current position; onResult(move) gets
+ * the chosen move, or null when the search failed. A new search or cancel()
+ * drops the one in progress. Without a worker, or once the worker fails,
+ * the search runs on this thread instead.
+ */
+export default function createSearchClient({ createWorker = defaultCreateWorker } = {}) {
+  let worker = null;
+  let searchId = 0;
+  let pending = null; // { id, request } of the search in progress
+
+  // searches a copy of the position, with the same endgame tables as the
+  // worker, so both paths choose alike
+  function searchHere(request) {
+    const { color, options, onProgress, onResult } = request;
+    const gameState = GameState.deserialize(request.gameState.serialize());
+    const id = ++searchId;
+    pending = { id, request };
+    tablesForSearch(gameState).then(() => {
+      if (!pending || pending.id !== id) return; // cancelled while the tables loaded
+      pending = null;
+      onResult(chooseAIMove(gameState, color, { ...options, onProgress }));
+    });
+  }
+
+  function cancel() {
+    if (!pending) return;
+    // a running search cannot be interrupted, so the worker is replaced
+    if (worker) worker.terminate();
+    worker = null;
+    pending = null;
+  }
+
+  function getWorker() {
+    if (worker) return worker;
+    try {
+      worker = createWorker();
+    } catch (e) {
+      console.warn('AI worker unavailable, searching on the main thread:', e);
+      worker = null;
+    }
+    if (!worker) return null;
+    const current = worker;
+    current.onmessage = ({ data }) => {
+      if (!pending || data.id !== pending.id) return; // stale message from a cancelled search
+      const { request } = pending;
+      if (data.type === 'progress') {
+        request.onProgress(data);
+        return;
+      }
+      pending = null;
+      if (data.type === 'error') {
+        console.warn('AI search failed:', data.message);
+        request.onResult(null);
+        return;
+      }
+      request.onResult(data.move);
+    };
+    // a worker that fails to load or dies fires `error` instead of answering
+    current.onerror = current.onmessageerror = (e) => {
+      console.warn('AI worker failed, searching on the main thread:', e.message || e.type);
+      current.terminate();
+      if (worker === current) worker = null;
+      if (!pending) return;
+      const { request } = pending;
+      pending = null;
+      searchHere(request);
+    };
+    return current;
+  }
+
+  function search({ gameState, color, options, onProgress = noop, onResult = noop }) {
+    cancel();
+    const request = { gameState, color, options, onProgress, onResult };
+    const searcher = getWorker();
+    if (!searcher) {
+      searchHere(request);
+      return;
+    }
+    pending = { id: ++searchId, request };
+    searcher.postMessage({ type: 'search', id: pending.id, position: gameState.serialize(), color, options });
+  }
+
+  function dispose() {
+    cancel();
+    if (worker) worker.terminate();
+    worker = null;
+  }
+
+  return { search, cancel, dispose };
+}
@@ -0,0 +1,108 @@
+import { PIECE_TYPES } from '../constants/constants.js';
+import createAiRunner from './aiRunner.js';
+
+const noop = () => {};
+
+/**
+ * createSpectator — AI vs AI play on a gameState for watching: one runner
+ * per color, each configured with { difficulty, profile }. Moves reach the
+ * view through GameState events like any other move.
+ * pause() cancels the search in progress, step() plays one move while
+ * paused and setSpeed(multiplier) shortens (> 1) or lengthens the delays.
+ * A reset or a loaded position restarts play unless paused; an undo pauses
+ * so the game can be browsed. onPauseChange(paused) reports the state and
+ * onProgress receives both engines' search progress (see chooseAIMove).
+ */
+export default function createSpectator({
+  gameState,
+  red,
+  black,
+  speed = 1,
+  createWorker,
+  onPauseChange = noop,
+  onProgress = noop
+}) {
+  const runners = {};
+  for (const [color, engine] of [[PIECE_TYPES.RED, red], [PIECE_TYPES.BLACK, black]]) {
+    runners[color] = createAiRunner({
+      gameState,
+      aiColor: color,
+      createWorker,
+      initialAiMode: true,
+      initialDifficulty: engine.difficulty,
+      profile: engine.profile,
+      delayScale: 1 / speed,
+      onProgress
+    });
+  }
+  let paused = false;
+
+  function cancelAll() {
+    runners[PIECE_TYPES.RED].cancel();
+    runners[PIECE_TYPES.BLACK].cancel();
+  }
+
+  function kick(delay) {
+    if (gameState.getStatus().state !== 'ongoing') return;
+    runners[gameState.currentTurn].performAIMove(delay);
+  }
+
+  function setPaused(value) {
+    if (paused === value) return;
+    paused = value;
+    onPauseChange(paused);
+  }
+
+  const unsubscribers = [
+    // a runner plays its own color only, so the other side is started here
+    gameState.on('turnChange', () => {
+      if (!paused) kick();
+    }),
+    gameState.on('position', ({ reason }) => {
+      cancelAll();
+      if (reason === 'undo') setPaused(true);
+      else if (!paused) kick();
+    })
+  ];
+
+  function start() {
+    setPaused(false);
+    cancelAll();
+    kick();
+  }
+
+  function pause() {
+    cancelAll();
+    setPaused(true);
+  }
+
+  function step() {
+    if (!paused) return;
+    cancelAll();
+    kick(0);
+  }
+
+  function setSpeed(multiplier) {
+    runners[PIECE_TYPES.RED].setDelayScale(1 / multiplier);
+    runners[PIECE_TYPES.BLACK].setDelayScale(1 / multiplier);
+  }
+
+  /**
+   * setEngine — reconfigure one color's engine; a search it had running is
+   * restarted with the new settings.
+   */
+  function setEngine(color, { difficulty, profile }) {
+    const runner = runners[color];
+    if (difficulty) runner.setDifficulty(difficulty);
+    if (profile) runner.setProfile(profile);
+    if (!paused && gameState.currentTurn === color) kick();
+  }
+
+  function dispose() {
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    runners[PIECE_TYPES.RED].dispose();
+    runners[PIECE_TYPES.BLACK].dispose();
+  }
+
+  return { start, pause, resume: start, step, setSpeed, setEngine, isPaused: () => paused, dispose };
+}
@@ -0,0 +1,57 @@
+/**
+ * Transposition table for the alpha-beta search: a fixed-size hash table
+ * indexed by the low bits of a Zobrist hash (see zobrist.js), replacing
+ * shallower entries with deeper ones.
+ */
+
+export const BOUND = {
+  EXACT: 1,
+  LOWER: 2, // the score is at least this (beta cutoff)
+  UPPER: 3  // the score is at most this (no move reached alpha)
+};
+
+/**
+ * TranspositionTable — stored per entry: hash check, depth, bound type,
+ * score and the index of the best move in the generated move list.
+ */
+export default class TranspositionTable {
+  constructor(bits = 18) {
+    this.mask = (1 << bits) - 1;
+    const size = 1 << bits;
+    this.lo = new Int32Array(size);
+    this.hi = new Int32Array(size);
+    this.depth = new Int8Array(size);
+    this.bound = new Uint8Array(size); // 0 marks an empty slot
+    this.score = new Int32Array(size);
+    this.best = new Int16Array(size);
+  }
+
+  /**
+   * probe — slot index of the entry for (lo, hi), or -1 when the position
+   * is not stored.
+   */
+  probe(lo, hi) {
+    const i = lo & this.mask;
+    return (this.bound[i] && this.lo[i] === lo && this.hi[i] === hi) ? i : -1;
+  }
+
+  /**
+   * store — remember a search result; an entry for another position is
+   * only overwritten by a search at least as deep.
+   */
+  store(lo, hi, depth, bound, score, best) {
+    const i = lo & this.mask;
+    const same = this.lo[i] === lo && this.hi[i] === hi;
+    if (this.bound[i] && !same && this.depth[i] > depth) return;
+    this.lo[i] = lo;
+    this.hi[i] = hi;
+    this.depth[i] = depth;
+    this.bound[i] = bound;
+    this.score[i] = score;
+    this.best[i] = best;
+  }
+
+  clear() {
+    this.bound.fill(0);
+  }
+}
@@ -0,0 +1,73 @@
+import { PIECE_TYPES } from '../constants/constants.js';
+import { squareNumber } from '../notation/squares.js';
+
+/**
+ * Zobrist keys for AI search: 64-bit position hashes kept as two 32-bit
+ * halves (lo, hi). Squares are indexed by PDN square number - 1, so the
+ * same keys serve Bitboard (8×8) and GameState boards up to 12×12.
+ */
+
+const MAX_SQUARES = 72;
+
+// xorshift32 with a fixed seed: hashes are the same in every worker and run
+let seed = 0x9e3779b9;
+function random32() {
+  seed ^= seed << 13;
+  seed ^= seed >>> 17;
+  seed ^= seed << 5;
+  return seed | 0;
+}
+
+function keyTable(count) {
+  const table = new Int32Array(count * 2);
+  for (let i = 0; i < table.length; i++) table[i] = random32();
+  return table;
+}
+
+// four piece types per square (PIECE_TYPES.RED .. BLACK_KING)
+export const PIECE_KEYS = keyTable(MAX_SQUARES * 4);
+export const TAKEN_KEYS = keyTable(MAX_SQUARES);
+export const PINNED_KEYS = keyTable(MAX_SQUARES);
+export const TURN_KEY = keyTable(1);
+
+/**
+ * pieceKey — offset of the (lo, hi) key pair for `piece` on square `sq`
+ * in PIECE_KEYS.
+ */
+export function pieceKey(sq, piece) {
+  return (sq * 4 + piece - 1) * 2;
+}
+
+/**
+ * hashGameState — Zobrist hash { lo, hi } of a GameState: pieces, side to
+ * move and an unfinished multi-jump (taken pieces and the moving piece).
+ */
+export function hashGameState(gameState) {
+  const { size } = gameState;
+  let lo = 0;
+  let hi = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = (y + 1) % 2; x < size; x += 2) {
+      const piece = gameState.board[y][x];
+      if (piece === PIECE_TYPES.EMPTY) continue;
+      const k = pieceKey(squareNumber(x, y, size) - 1, piece);
+      lo ^= PIECE_KEYS[k];
+      hi ^= PIECE_KEYS[k + 1];
+    }
+  }
+  for (const t of gameState.taken) {
+    const k = (squareNumber(t.x, t.y, size) - 1) * 2;
+    lo ^= TAKEN_KEYS[k];
+    hi ^= TAKEN_KEYS[k + 1];
+  }
+  if (gameState.inSequence) {
+    const k = (squareNumber(gameState.selected.x, gameState.selected.y, size) - 1) * 2;
+    lo ^= PINNED_KEYS[k];
+    hi ^= PINNED_KEYS[k + 1];
+  }
+  if (gameState.currentTurn === PIECE_TYPES.BLACK) {
+    lo ^= TURN_KEY[0];
+    hi ^= TURN_KEY[1];
+  }
+  return { lo, hi };
+}
@@ -1,5 +1,5 @@
 import { mat4, vec3 } from 'gl-matrix';
-import { BOARD_Y, BOARD_SIZE, CENTER, UP } from './constants/constants.js';
+import { BOARD_Y, BOARD_SIZE, CENTER, UP, PIECE_TYPES } from './constants/constants.js';
 
 /**
  * Camera — manages view / projection matrices and screen -> world mapping.
@@ -7,9 +7,10 @@ import { BOARD_Y, BOARD_SIZE, CENTER, UP } from './constants/constants.js';
  * Uses gl-matrix for math and returns view-projection matrices for rendering.
  */
 export default class Camera {
-  constructor(canvas) {
+  constructor(canvas, boardSize = BOARD_SIZE) {
     this.canvas = canvas;
-    this.distance = 12.0;
+    this.boardSize = boardSize;
+    this.distance = this.frameDistance();
     this.yaw = Math.PI / 4;
     this.pitch = Math.PI / 6;
     this.dragging = false;
@@ -19,6 +20,28 @@ export default class Camera {
     this.setupControls();
   }
 
+  /**
+   * setBoardSize — adapt picking and framing to a board of size×size squares.
+   * Resets the zoom so the whole board fits the view (12 units for 8×8,
+   * scaled linearly for bigger boards).
+   */
+  setBoardSize(size) {
+    this.boardSize = size;
+    this.distance = this.frameDistance();
+  }
+
+  frameDistance() {
+    return 12.0 * this.boardSize / BOARD_SIZE;
+  }
+
+  /**
+   * viewFromSide — turn the camera behind the pieces of `color` (red start
+   * at +z, black at -z), keeping the pitch and the zoom.
+   */
+  viewFromSide(color) {
+    this.yaw = color === PIECE_TYPES.BLACK ? -3 * Math.PI / 4 : Math.PI / 4;
+  }
+
   /**
    * setupControls — attach input listeners to support rotation and zoom.
    * Handles mouse drag for yaw/pitch and wheel for camera distance (zoom).
@@ -49,7 +72,8 @@ export default class Camera {
     });
 
     this.canvas.addEventListener('wheel', (e) => {
-      this.distance = Math.max(4, Math.min(30, this.distance + e.deltaY * 0.01));
+      const maxDistance = Math.max(30, this.frameDistance() * 2);
+      this.distance = Math.max(4, Math.min(maxDistance, this.distance + e.deltaY * 0.01));
       e.preventDefault();
     }, { passive: false });
   }
@@ -143,10 +167,12 @@ export default class Camera {
 
     if (!hit) return null;
 
-    const ix = Math.floor(hit[0] + 3.5 + 0.5);
-    const iy = Math.floor(hit[2] + 3.5 + 0.5);
+    // squares are centred on the origin, so shift by half the board width
+    const offset = (this.boardSize - 1) / 2;
+    const ix = Math.floor(hit[0] + offset + 0.5);
+    const iy = Math.floor(hit[2] + offset + 0.5);
 
-    if (ix >= 0 && ix < BOARD_SIZE && iy >= 0 && iy < BOARD_SIZE) {
+    if (ix >= 0 && ix < this.boardSize && iy >= 0 && iy < this.boardSize) {
       return { x: ix, y: iy };
     }
 
@@ -17,7 +17,10 @@ export const COLORS = {
   KING_CROWN: [1.0, 0.9, 0.2],
   SELECTED_GLOW: [0.3, 1.0, 0.3],
   VALID_MOVE: [0.2, 0.8, 0.3],
-  MUST_ATTACK: [1.0, 0.55, 0.0] // new — orange-ish highlight for pieces that must capture
+  MUST_ATTACK: [1.0, 0.55, 0.0], // new — orange-ish highlight for pieces that must capture
+  TAKEN_GHOST: [0.75, 0.75, 0.8], // pieces jumped in a multi-jump still in progress fade towards this
+  HINT: [0.25, 0.55, 1.0], // suggested move: start and target squares
+  HINT_PATH: [0.5, 0.75, 1.0] // landing squares passed on the way in a suggested multi-jump
 };
 
 
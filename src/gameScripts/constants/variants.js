@@ -0,0 +1,167 @@
+import { BOARD_SIZE, PIECE_TYPES } from './constants.js';
+
+/**
+ * Promotion modes — when a man that reaches the far rank becomes a king.
+ * IMMEDIATE: crowned at once; a capture in progress continues as a king.
+ * END_OF_MOVE: crowned only when the move ends there (passes through as a man).
+ * ENDS_MOVE: crowned at once and the move ends, even if more jumps exist.
+ */
+export const PROMOTION = {
+  IMMEDIATE: 'immediate',
+  END_OF_MOVE: 'endOfMove',
+  ENDS_MOVE: 'endsMove'
+};
+
+/**
+ * FMJD endgame limits — a lone king against at most `pieces` pieces, at
+ * least `kings` of them kings, is drawn after `moves` moves per side: 5 moves
+ * against two pieces or fewer, 16 moves against three.
+ */
+const FMJD_ENDGAME_LIMITS = [
+  { pieces: 2, kings: 1, moves: 5 },
+  { pieces: 3, kings: 1, moves: 16 }
+];
+
+/**
+ * VARIANTS — rule definitions consulted by GameState.
+ * Each entry describes every rule that differs between draughts families;
+ * GameState never hard-codes a rule that can be found here. maxCapture forces
+ * the longest capture sequence; kingPriority breaks ties by kings captured.
+ * pdnGameType is the PDN GameType tag value (the Polish flavour has no
+ * number of its own and uses the long form). draw holds the repetition
+ * count, the king-move limit (moves per side with only kings moving and no
+ * capture) and the lone-king endgame limits.
+ */
+export const VARIANTS = {
+  polish: {
+    id: 'polish',
+    name: 'Polskie',
+    pdnGameType: '20,W,8,8,N1,0',
+    boardSize: BOARD_SIZE,
+    startRows: 2,
+    flyingKings: true,
+    menCaptureBackward: true,
+    mandatoryCapture: true,
+    maxCapture: true,
+    kingPriority: false,
+    promotion: PROMOTION.IMMEDIATE,
+    draw: { repetitions: 3, kingMoves: 25, endgame: FMJD_ENDGAME_LIMITS },
+    firstTurn: PIECE_TYPES.RED
+  },
+  russian: {
+    id: 'russian',
+    name: 'Rosyjskie',
+    pdnGameType: '25',
+    boardSize: BOARD_SIZE,
+    startRows: 3,
+    flyingKings: true,
+    menCaptureBackward: true,
+    mandatoryCapture: true,
+    maxCapture: false,
+    kingPriority: false,
+    promotion: PROMOTION.IMMEDIATE,
+    draw: { repetitions: 3, kingMoves: 15, endgame: [{ pieces: Infinity, kings: 3, moves: 15 }] },
+    firstTurn: PIECE_TYPES.RED
+  },
+  brazilian: {
+    id: 'brazilian',
+    name: 'Brazylijskie',
+    pdnGameType: '26',
+    boardSize: BOARD_SIZE,
+    startRows: 3,
+    flyingKings: true,
+    menCaptureBackward: true,
+    mandatoryCapture: true,
+    maxCapture: true,
+    kingPriority: false,
+    promotion: PROMOTION.END_OF_MOVE,
+    draw: { repetitions: 3, kingMoves: 20, endgame: FMJD_ENDGAME_LIMITS },
+    firstTurn: PIECE_TYPES.RED
+  },
+  english: {
+    id: 'english',
+    name: 'Angielskie / amerykańskie',
+    pdnGameType: '21',
+    boardSize: BOARD_SIZE,
+    startRows: 3,
+    flyingKings: false,
+    menCaptureBackward: false,
+    mandatoryCapture: true,
+    maxCapture: false,
+    kingPriority: false,
+    promotion: PROMOTION.ENDS_MOVE,
+    draw: { repetitions: 3, kingMoves: 40, endgame: [] },
+    firstTurn: PIECE_TYPES.BLACK
+  },
+  pool: {
+    id: 'pool',
+    name: 'Pool',
+    pdnGameType: '23',
+    boardSize: BOARD_SIZE,
+    startRows: 3,
+    flyingKings: true,
+    menCaptureBackward: true,
+    mandatoryCapture: true,
+    maxCapture: false,
+    kingPriority: false,
+    promotion: PROMOTION.END_OF_MOVE,
+    draw: { repetitions: 3, kingMoves: 25, endgame: [] },
+    firstTurn: PIECE_TYPES.RED
+  },
+  spanish: {
+    id: 'spanish',
+    name: 'Hiszpańskie',
+    pdnGameType: '24',
+    boardSize: BOARD_SIZE,
+    startRows: 3,
+    flyingKings: true,
+    menCaptureBackward: false,
+    mandatoryCapture: true,
+    maxCapture: true,
+    kingPriority: true,
+    promotion: PROMOTION.END_OF_MOVE,
+    draw: { repetitions: 3, kingMoves: 25, endgame: [] },
+    firstTurn: PIECE_TYPES.RED
+  },
+  international: {
+    id: 'international',
+    name: 'Międzynarodowe (10×10)',
+    pdnGameType: '20',
+    boardSize: 10,
+    startRows: 4,
+    flyingKings: true,
+    menCaptureBackward: true,
+    mandatoryCapture: true,
+    maxCapture: true,
+    kingPriority: false,
+    promotion: PROMOTION.END_OF_MOVE,
+    draw: { repetitions: 3, kingMoves: 25, endgame: FMJD_ENDGAME_LIMITS },
+    firstTurn: PIECE_TYPES.RED
+  },
+  canadian: {
+    id: 'canadian',
+    name: 'Kanadyjskie (12×12)',
+    pdnGameType: '27',
+    boardSize: 12,
+    startRows: 5,
+    flyingKings: true,
+    menCaptureBackward: true,
+    mandatoryCapture: true,
+    maxCapture: true,
+    kingPriority: false,
+    promotion: PROMOTION.END_OF_MOVE,
+    draw: { repetitions: 3, kingMoves: 25, endgame: FMJD_ENDGAME_LIMITS },
+    firstTurn: PIECE_TYPES.RED
+  }
+};
+
+export const DEFAULT_VARIANT = 'polish';
+
+/**
+ * getVariant — look up a variant definition by id.
+ * Falls back to the default variant for unknown ids so callers never
+ * have to deal with a missing rule set.
+ */
+export function getVariant(id) {
+  return VARIANTS[id] || VARIANTS[DEFAULT_VARIANT];
+}
@@ -0,0 +1,53 @@
+/**
+ * EventEmitter — minimal typed publish/subscribe base class.
+ * Listeners are kept per event type in insertion order; a listener that
+ * throws is reported and does not stop the others from running.
+ */
+export default class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  /**
+   * on — subscribe `listener` to events of `type`.
+   * Returns a function that removes the subscription again.
+   */
+  on(type, listener) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(listener);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * off — remove a listener added with on(); unknown listeners are ignored.
+   */
+  off(type, listener) {
+    const set = this.listeners.get(type);
+    if (!set) return;
+    set.delete(listener);
+    if (set.size === 0) this.listeners.delete(type);
+  }
+
+  /**
+   * hasListeners — whether anything listens to `type`; lets emitters skip
+   * building payloads that are expensive to compute.
+   */
+  hasListeners(type) {
+    return this.listeners.has(type);
+  }
+
+  /**
+   * emit — call every listener of `type` with the payload.
+   */
+  emit(type, payload) {
+    const set = this.listeners.get(type);
+    if (!set) return;
+    for (const listener of [...set]) {
+      try {
+        listener(payload);
+      } catch (e) {
+        console.warn(`Listener for "${type}" failed:`, e);
+      }
+    }
+  }
+}
@@ -1,16 +1,80 @@
-import { BOARD_SIZE, PIECE_TYPES } from './constants/constants.js';
+import { PIECE_TYPES } from './constants/constants.js';
+import { DEFAULT_VARIANT, PROMOTION, getVariant } from './constants/variants.js';
+import { formatFEN, parseFEN } from './notation/fen.js';
+import EventEmitter from './events.js';
+
+const DIRECTIONS = [[-1, -1], [1, -1], [-1, 1], [1, 1]];
+
+/**
+ * firstHops — reduce capture sequences to their distinct first hops as
+ * {sx, sy, tx, ty, move} entries (several sequences may share one hop).
+ */
+function firstHops(sequences) {
+  const seen = new Set();
+  const moves = [];
+  for (const seq of sequences) {
+    const m = seq.path[0];
+    const key = `${seq.sx},${seq.sy},${m.x},${m.y}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    moves.push({ sx: seq.sx, sy: seq.sy, tx: m.x, ty: m.y, move: m });
+  }
+  return moves;
+}
 
 /**
  * GameState — encapsulates the board, turns, selection and move rules.
  * Responsible for computing legal moves, applying moves and tracking turns.
- * This class is intentionally self-contained to keep game logic isolated.
+ * Rule differences between draughts families come from the variant definition.
+ *
+ * Events (subscribe with on(type, listener), see events.js):
+ *   move             { sx, sy, tx, ty, move, color, piece, endsTurn } per hop
+ *   capture          { x, y, piece, color } a piece was jumped (still `taken`)
+ *   promotion        { x, y, piece, color } a man was crowned
+ *   sequenceContinue { x, y, color } the same piece must jump again
+ *   turnChange       { turn, previous } the side to move changed
+ *   gameOver         getStatus() result once a move ends the game
+ *   select           { selected } the selection changed without a move
+ *   position         { reason } the position was replaced outside play
+ *                    ('reset', 'setPosition' or 'undo')
+ * All events fire after the state has been updated. Search clones have no
+ * listeners and stay silent.
  */
-export default class GameState {
-  constructor(startRows = 2) {
-    this.startRows = startRows; // number of rows per side (2 or 3)
-    this.board = Array(BOARD_SIZE).fill(0).map(() => Array(BOARD_SIZE).fill(0));
-    this.currentTurn = PIECE_TYPES.RED;
+export default class GameState extends EventEmitter {
+  constructor(variantId = DEFAULT_VARIANT, startRows = null) {
+    super();
+    this.variant = getVariant(variantId);
+    this.startRows = startRows; // rows per side; null uses the variant default
+    this.size = this.variant.boardSize;
+    this.board = GameState.createBoard(this.size);
+    this.currentTurn = this.variant.firstTurn;
     this.selected = null;
+    this.inSequence = false; // true while `selected` must continue a multi-jump
+    this.taken = [];         // pieces jumped in the current sequence, removed when it ends
+    this.recording = true;   // whether applyMove records undo history (off for search clones)
+    this.replaying = false;  // true while redo() re-applies an undone hop
+    this.reset();
+  }
+
+  /**
+   * createBoard — allocate an empty size×size board array.
+   * Rows are indexed first (board[y][x]) to match getPiece/setPiece.
+   */
+  static createBoard(size) {
+    return Array(size).fill(0).map(() => Array(size).fill(0));
+  }
+
+  /**
+   * setVariant — switch to another rule variant and start a fresh game.
+   * Keeps this instance (and every reference to it) alive so the renderer
+   * and AI runner keep working on the same object.
+   */
+  setVariant(variantId) {
+    this.variant = getVariant(variantId);
+    if (this.size !== this.variant.boardSize) {
+      this.size = this.variant.boardSize;
+      this.board = GameState.createBoard(this.size);
+    }
     this.reset();
   }
 
@@ -20,44 +84,107 @@ export default class GameState {
    * Resets board, turn and selection to a predictable starting state.
    */
   reset(rowsOverride) {
-    const rows = (typeof rowsOverride === 'number') ? rowsOverride : this.startRows;
+    const rows = (typeof rowsOverride === 'number') ? rowsOverride : (this.startRows ?? this.variant.startRows);
 
-    for (let y = 0; y < BOARD_SIZE; y++) {
-      for (let x = 0; x < BOARD_SIZE; x++) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
         this.board[y][x] = PIECE_TYPES.EMPTY;
       }
     }
 
     for (let y = 0; y < rows; y++) {
-      for (let x = 0; x < BOARD_SIZE; x++) {
+      for (let x = 0; x < this.size; x++) {
         if ((x + y) % 2 === 1) {
           this.board[y][x] = PIECE_TYPES.BLACK;
         }
       }
     }
 
-    for (let y = BOARD_SIZE - rows; y < BOARD_SIZE; y++) {
-      for (let x = 0; x < BOARD_SIZE; x++) {
+    for (let y = this.size - rows; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
         if ((x + y) % 2 === 1) {
           this.board[y][x] = PIECE_TYPES.RED;
         }
       }
     }
 
-    this.currentTurn = PIECE_TYPES.RED;
+    this._resetTracking(this.variant.firstTurn);
+    this.emit('position', { reason: 'reset' });
+  }
+
+  /**
+   * setPosition — set up an arbitrary position (board[y][x] of this game's
+   * size) with the given side to move, e.g. from FEN or a PDN setup.
+   * Selection, draw bookkeeping and move history start fresh as in reset().
+   */
+  setPosition(board, turn) {
+    if (board.length !== this.size || board.some(row => row.length !== this.size)) {
+      throw new Error(`GameState.setPosition: expected a ${this.size}×${this.size} board`);
+    }
+    this.board = board.map(row => row.slice());
+    this._resetTracking(turn);
+    this.emit('position', { reason: 'setPosition' });
+  }
+
+  /**
+   * toFEN — the position as a draughts FEN string (`W:W21,22,K30:B1,2,3`),
+   * side to move included. Red is White, Black is Black.
+   */
+  toFEN() {
+    return formatFEN(this.board, this.currentTurn, this.size);
+  }
+
+  /**
+   * fromFEN — set up the position described by a FEN string on this game's
+   * board size (see setPosition). Throws on malformed FEN; returns this so
+   * it chains after the constructor: new GameState('russian').fromFEN(...).
+   */
+  fromFEN(fen) {
+    const { board, turn } = parseFEN(fen, this.size);
+    this.setPosition(board, turn);
+    return this;
+  }
+
+  /**
+   * _resetTracking — shared tail of reset() and setPosition(): side to move,
+   * selection and multi-jump state, draw bookkeeping and history.
+   */
+  _resetTracking(turn) {
+    this.currentTurn = turn;
     this.selected = null;
+    this.inSequence = false;
+    this.taken = [];
+
+    // draw bookkeeping: position repetitions and quiet-move counters (in plies)
+    this.positionCounts = new Map();
+    this.quietKingPlies = 0;
+    this.endgamePlies = 0;
+    this.endgameSignature = this._materialSignature();
+    this.positionCounts.set(this.positionKey(), 1);
+
+    // move history: one entry per applied hop, plus the undone entries for redo
+    this.history = [];
+    this.future = [];
   }
 
   /**
    * clone — produce a deep copy of this GameState instance.
    * The returned object can be used for search or simulation without
    * mutating the original state (important for AI search algorithms).
+   * Clones start with an empty move history and do not record one.
    */
   clone() {
-    const copy = new GameState(this.startRows);
+    const copy = new GameState(this.variant.id, this.startRows);
+    copy.recording = false;
     // copy primitive fields
     copy.currentTurn = this.currentTurn;
     copy.selected = this.selected ? { x: this.selected.x, y: this.selected.y } : null;
+    copy.inSequence = this.inSequence;
+    copy.taken = this.taken.map(t => ({ x: t.x, y: t.y }));
+    copy.positionCounts = new Map(this.positionCounts);
+    copy.quietKingPlies = this.quietKingPlies;
+    copy.endgamePlies = this.endgamePlies;
+    copy.endgameSignature = this.endgameSignature;
     // deep copy board
     for (let y = 0; y < this.board.length; y++) {
       copy.board[y] = this.board[y].slice();
@@ -65,210 +192,476 @@ export default class GameState {
     return copy;
   }
 
+  /**
+   * serialize — plain, structured-clone friendly copy of the position with
+   * the bookkeeping a search needs (draw counters and the recent moves for
+   * repetition checks); used to hand positions to the AI worker.
+   */
+  serialize() {
+    return {
+      variantId: this.variant.id,
+      startRows: this.startRows,
+      state: this._snapshot(),
+      // every move since the last capture or man move is a single king hop
+      history: this.history.slice(-(this.quietKingPlies + 1))
+    };
+  }
+
+  /**
+   * deserialize — rebuild a GameState from serialize() output.
+   */
+  static deserialize(data) {
+    const gameState = new GameState(data.variantId, data.startRows);
+    gameState._restore(data.state);
+    gameState.history = data.history;
+    return gameState;
+  }
+
   /**
    * getLegalMoves — returns an array of legal destination objects for the
    * piece at (x,y). Each move object contains {x,y,jump, captureX, captureY}
-   * and supports both man and king movement/capture rules.
+   * and follows the man/king movement and capture rules of the variant.
    */
   getLegalMoves(x, y) {
     const piece = this.getPiece(x, y);
     if (!piece) return [];
+    return this._getSimpleMoves(x, y).concat(this._getCaptureMoves(x, y));
+  }
+
+  /**
+   * _getSimpleMoves — non-capturing moves for the piece at (x,y).
+   * Men step forward only; kings step in all four directions, sliding any
+   * distance when the variant has flying kings.
+   */
+  _getSimpleMoves(x, y) {
+    const piece = this.getPiece(x, y);
+    if (!piece) return [];
 
-    const isRed = this.isRed(piece);
     const isKing = this.isKing(piece);
+    const flying = isKing && this.variant.flyingKings;
+    const dirs = isKing ? DIRECTIONS : this._forwardDirections(piece);
     const moves = [];
 
-    const inBounds = (xx, yy) => xx >= 0 && xx < BOARD_SIZE && yy >= 0 && yy < BOARD_SIZE;
-
-    const dirs = [[-1, -1], [1, -1], [-1, 1], [1, 1]];
-
-    if (isKing) {
-      // Flying king: can move along diagonal any distance; captures: jump over first enemy and land any empty square beyond it
-      for (const [dx, dy] of dirs) {
-        let step = 1;
-        let sawEnemy = false;
-        let enemyX = -1, enemyY = -1;
-
-        while (true) {
-          const nx = x + dx * step;
-          const ny = y + dy * step;
-          if (!inBounds(nx, ny)) break;
-
-          const target = this.getPiece(nx, ny);
-
-          if (!sawEnemy) {
-            if (target === PIECE_TYPES.EMPTY) {
-              // simple move (only if there is no capture in that direction yet)
-              moves.push({ x: nx, y: ny, jump: false });
-              step++;
-              continue;
-            } else if ((isRed && this.isBlack(target)) || (!isRed && this.isRed(target))) {
-              // first enemy encountered — candidate for capture
-              sawEnemy = true;
-              enemyX = nx;
-              enemyY = ny;
-              step++;
-              continue;
-            } else {
-              // own piece blocks path
-              break;
-            }
-          } else {
-            // we've seen an enemy earlier in this diagonal:
-            if (target === PIECE_TYPES.EMPTY) {
-              // any empty square beyond the enemy is a valid landing after a jump
-              moves.push({ x: nx, y: ny, jump: true, captureX: enemyX, captureY: enemyY });
-              step++;
-              continue;
-            } else {
-              // blocked by any piece after the enemy — can't land further in this dir
-              break;
-            }
-          }
-        }
-      }
-    } else {
-      // Regular man: simple (non-capturing) moves only forward, but capture moves
-      // are allowed in all four diagonal directions (so backward captures are
-      // possible). This matches _hasCaptureMoves which already considers
-      // backward captures.
-      const dyForward = isRed ? -1 : 1;
-
-      // 1) simple adjacent moves — only forward directions
-      const simpleDirs = [[-1, dyForward], [1, dyForward]];
-      for (const [dx, dy] of simpleDirs) {
-        const nx = x + dx;
-        const ny = y + dy;
-        if (!inBounds(nx, ny)) continue;
-        const target = this.getPiece(nx, ny);
-        if (target === PIECE_TYPES.EMPTY) {
-          moves.push({ x: nx, y: ny, jump: false });
-        }
+    for (const [dx, dy] of dirs) {
+      let step = 1;
+      while (true) {
+        const nx = x + dx * step;
+        const ny = y + dy * step;
+        if (this.getPiece(nx, ny) !== PIECE_TYPES.EMPTY) break;
+        moves.push({ x: nx, y: ny, jump: false });
+        if (!flying) break;
+        step++;
       }
+    }
+    return moves;
+  }
 
-      // 2) capture moves — check all four diagonals for an adjacent enemy and
-      // an empty landing square beyond it. This allows backward captures.
-      for (const [dx, dy] of dirs) {
-        const nx = x + dx;
-        const ny = y + dy;
-        const jx = nx + dx;
-        const jy = ny + dy;
-        if (!inBounds(nx, ny) || !inBounds(jx, jy)) continue;
-        const target = this.getPiece(nx, ny);
-        if ((isRed && this.isBlack(target)) || (!isRed && this.isRed(target))) {
-          if (this.getPiece(jx, jy) === PIECE_TYPES.EMPTY) {
-            moves.push({ x: jx, y: jy, jump: true, captureX: nx, captureY: ny });
-          }
-        }
+  /**
+   * _getCaptureMoves — capturing jumps for the piece at (x,y).
+   * A flying king jumps the first enemy on a diagonal and may land on any
+   * empty square beyond it; other pieces jump an adjacent enemy only.
+   * Pieces already taken in this sequence block the line and are never
+   * jumped a second time.
+   */
+  _getCaptureMoves(x, y) {
+    const piece = this.getPiece(x, y);
+    if (!piece) return [];
+
+    const isKing = this.isKing(piece);
+    const flying = isKing && this.variant.flyingKings;
+    const dirs = (isKing || this.variant.menCaptureBackward) ? DIRECTIONS : this._forwardDirections(piece);
+    const moves = [];
+
+    for (const [dx, dy] of dirs) {
+      // walk to the first occupied square (only one step for short pieces)
+      let step = 1;
+      while (flying && this.getPiece(x + dx * step, y + dy * step) === PIECE_TYPES.EMPTY) step++;
+
+      const enemyX = x + dx * step;
+      const enemyY = y + dy * step;
+      if (!this.isEnemy(piece, this.getPiece(enemyX, enemyY)) || this.isTaken(enemyX, enemyY)) continue;
+
+      // every empty square beyond the enemy is a landing square (just the first one for short pieces)
+      let land = 1;
+      while (true) {
+        const nx = enemyX + dx * land;
+        const ny = enemyY + dy * land;
+        if (this.getPiece(nx, ny) !== PIECE_TYPES.EMPTY) break;
+        moves.push({ x: nx, y: ny, jump: true, captureX: enemyX, captureY: enemyY });
+        if (!flying) break;
+        land++;
       }
     }
-
     return moves;
   }
 
+  /**
+   * _forwardDirections — the two diagonal directions a man moves towards.
+   * Red men move up the board (decreasing y) and black men move down.
+   */
+  _forwardDirections(piece) {
+    const dy = this.isRed(piece) ? -1 : 1;
+    return [[-1, dy], [1, dy]];
+  }
+
   /**
    * applyMove — perform the requested move on the board.
-   * Handles moving the piece, removing captured pieces, promotions and
-   * multi-jump continuation logic (returns true when turn switched).
+   * Handles moving the piece, captures, promotions and multi-jump
+   * continuation logic (returns true when turn switched). Captured pieces
+   * stay on the board as `taken` until the whole sequence ends.
    */
   applyMove(sx, sy, tx, ty, move) {
-    let piece = this.getPiece(sx, sy);
+    const moving = this.getPiece(sx, sy);
+    let piece = moving;
+    const movedMan = !this.isKing(piece);
+    const jump = !!(move && move.jump);
+    const captured = jump ? this.getPiece(move.captureX, move.captureY) : null;
+    const entry = this.recording ? {
+      sx, sy, tx, ty,
+      move: move ? { ...move } : null,
+      color: this.currentTurn,
+      piece,
+      captured: jump ? { x: move.captureX, y: move.captureY, piece: captured } : null,
+      before: this._snapshot()
+    } : null;
     this.setPiece(sx, sy, PIECE_TYPES.EMPTY);
 
-    // Handle capture (works for man and flying king: move.captureX/Y identifies captured piece)
-    if (move && move.jump) {
+    // Handle capture (works for man and flying king: move.captureX/Y identifies captured piece).
+    // The piece is only marked here (Turkish strike rule) and removed in _removeTaken.
+    if (jump) {
       if (typeof move.captureX === 'number' && typeof move.captureY === 'number') {
-        this.setPiece(move.captureX, move.captureY, PIECE_TYPES.EMPTY);
+        this.taken.push({ x: move.captureX, y: move.captureY });
       } else {
         // safety: no capture coords provided; no-op
       }
     }
 
-    // Promote to king (if a man reaches far rank)
-    if (piece === PIECE_TYPES.RED && ty === 0) {
-      piece = PIECE_TYPES.RED_KING;
-    } else if (piece === PIECE_TYPES.BLACK && ty === BOARD_SIZE - 1) {
-      piece = PIECE_TYPES.BLACK_KING;
-    }
-
     this.setPiece(tx, ty, piece);
 
+    // Promotion timing depends on the variant (see PROMOTION in variants.js)
+    const promotes = !this.isKing(piece) && this.isPromotionRow(piece, ty);
+    const { promotion } = this.variant;
+    if (promotes && promotion !== PROMOTION.END_OF_MOVE) {
+      piece = this.promote(piece);
+      this.setPiece(tx, ty, piece);
+    }
+
     // If this was a jump, check for further captures from landing square
-    if (move && move.jump) {
-      const hasMore = this._hasCaptureMoves(tx, ty);
-      if (hasMore) {
-        // keep the turn and keep the selection on the landing square
-        this.selected = { x: tx, y: ty };
-        return false; // turn NOT switched
-      }
+    const continues = jump && !(promotes && promotion === PROMOTION.ENDS_MOVE) && this._hasCaptureMoves(tx, ty);
+    if (continues) {
+      // keep the turn and keep the selection on the landing square
+      this.selected = { x: tx, y: ty };
+      this.inSequence = true;
+      if (entry) this._pushHistory(entry, false);
+      this._emitMove(sx, sy, tx, ty, move, moving, captured, false);
+      return false; // turn NOT switched
+    }
+
+    // a man passing through the far rank is only crowned if the move ends there
+    if (promotes && promotion === PROMOTION.END_OF_MOVE) {
+      this.setPiece(tx, ty, this.promote(piece));
     }
 
-    // No further captures: clear selection and switch turn
+    // No further captures: the sequence is over, lift the taken pieces,
+    // clear selection and switch turn
+    this._removeTaken();
     this.selected = null;
+    this.inSequence = false;
     this.currentTurn = this.currentTurn === PIECE_TYPES.RED ? PIECE_TYPES.BLACK : PIECE_TYPES.RED;
+    this._recordPosition(jump || movedMan);
+    if (entry) this._pushHistory(entry, true);
+    this._emitMove(sx, sy, tx, ty, move, moving, captured, true);
     return true; // turn switched
   }
 
+  /**
+   * _emitMove — publish the events of the hop applyMove just finished:
+   * move, capture, promotion, then sequenceContinue or turnChange and
+   * gameOver when the game ended. `piece` is the moving piece and
+   * `captured` the jumped one, both as they were before the hop.
+   */
+  _emitMove(sx, sy, tx, ty, move, piece, captured, endsTurn) {
+    if (this.listeners.size === 0) return;
+    const color = this.colorOf(piece);
+    this.emit('move', { sx, sy, tx, ty, move, color, piece, endsTurn });
+    if (captured) this.emit('capture', { x: move.captureX, y: move.captureY, piece: captured, color });
+    const landed = this.getPiece(tx, ty);
+    if (!this.isKing(piece) && this.isKing(landed)) this.emit('promotion', { x: tx, y: ty, piece: landed, color });
+    if (!endsTurn) {
+      this.emit('sequenceContinue', { x: tx, y: ty, color });
+      return;
+    }
+    this.emit('turnChange', { turn: this.currentTurn, previous: color });
+    if (this.hasListeners('gameOver')) {
+      const status = this.getStatus();
+      if (status.state !== 'ongoing') this.emit('gameOver', status);
+    }
+  }
+
+  /**
+   * _pushHistory — finish a history entry for the hop just applied and
+   * store it. A new move invalidates everything that could be redone.
+   */
+  _pushHistory(entry, endsTurn) {
+    entry.endsTurn = endsTurn;
+    entry.promoted = !this.isKing(entry.piece) && this.isKing(this.getPiece(entry.tx, entry.ty));
+    this.history.push(entry);
+    if (!this.replaying) this.future = [];
+  }
+
+  /**
+   * _snapshot — copy of everything applyMove can change, so a history entry
+   * can restore the exact position, partial multi-jump state included.
+   */
+  _snapshot() {
+    return {
+      board: this.board.map(row => row.slice()),
+      currentTurn: this.currentTurn,
+      selected: this.selected ? { x: this.selected.x, y: this.selected.y } : null,
+      inSequence: this.inSequence,
+      taken: this.taken.map(t => ({ x: t.x, y: t.y })),
+      positionCounts: new Map(this.positionCounts),
+      quietKingPlies: this.quietKingPlies,
+      endgamePlies: this.endgamePlies,
+      endgameSignature: this.endgameSignature
+    };
+  }
+
+  _restore(snapshot) {
+    this.board = snapshot.board.map(row => row.slice());
+    this.currentTurn = snapshot.currentTurn;
+    this.selected = snapshot.selected ? { x: snapshot.selected.x, y: snapshot.selected.y } : null;
+    this.inSequence = snapshot.inSequence;
+    this.taken = snapshot.taken.map(t => ({ x: t.x, y: t.y }));
+    this.positionCounts = new Map(snapshot.positionCounts);
+    this.quietKingPlies = snapshot.quietKingPlies;
+    this.endgamePlies = snapshot.endgamePlies;
+    this.endgameSignature = snapshot.endgameSignature;
+  }
+
+  canUndo() {
+    return this.history.length > 0;
+  }
+
+  canRedo() {
+    return this.future.length > 0;
+  }
+
+  /**
+   * undo — take back the last recorded hop, restoring the position exactly
+   * as it was before it (including a half-finished multi-jump).
+   * Returns false when there is nothing to undo.
+   */
+  undo() {
+    const entry = this.history.pop();
+    if (!entry) return false;
+    this._restore(entry.before);
+    this.future.push(entry);
+    this.emit('position', { reason: 'undo' });
+    return true;
+  }
+
+  /**
+   * redo — replay the most recently undone hop through applyMove (so it
+   * emits the usual move events). Metadata attached to the undone entry,
+   * such as a PDN comment, carries over to the re-recorded one.
+   * Returns false when there is nothing to redo.
+   */
+  redo() {
+    const entry = this.future.pop();
+    if (!entry) return false;
+    this.replaying = true; // keeps the redo list while the hop is re-recorded
+    try {
+      this.applyMove(entry.sx, entry.sy, entry.tx, entry.ty, entry.move);
+    } finally {
+      this.replaying = false;
+    }
+    const redone = this.history[this.history.length - 1];
+    for (const key of Object.keys(entry)) {
+      if (!(key in redone)) redone[key] = entry[key];
+    }
+    return true;
+  }
+
+  /**
+   * undoToPlayer — roll back to the given player's last decision point:
+   * the opponent's (AI) hops are undone first, then the player's own last
+   * hop. No-op (returns false) if that player has not moved yet.
+   */
+  undoToPlayer(color) {
+    if (!this.history.some(entry => entry.color === color)) return false;
+    while (this.history[this.history.length - 1].color !== color) this.undo();
+    return this.undo();
+  }
+
+  /**
+   * redoToPlayer — counterpart of undoToPlayer: replays the player's hop and
+   * then every following opponent hop until the player is to move again.
+   */
+  redoToPlayer(color) {
+    if (!this.redo()) return false;
+    while (this.future.length && this.currentTurn !== color) this.redo();
+    return true;
+  }
+
+  /**
+   * _removeTaken — take the pieces jumped during the finished sequence off
+   * the board and clear the taken list.
+   */
+  _removeTaken() {
+    for (const t of this.taken) this.setPiece(t.x, t.y, PIECE_TYPES.EMPTY);
+    this.taken = [];
+  }
+
+  /**
+   * isTaken — whether the piece at (x,y) was jumped in the sequence that is
+   * still in progress (it stays on the board until the sequence ends).
+   */
+  isTaken(x, y) {
+    return this.taken.some(t => t.x === x && t.y === y);
+  }
+
   /**
    * _hasCaptureMoves — checks whether the piece at (x,y) has any capturing
-   * jump available. Supports both simple men and flying kings.
+   * jump available under the variant's man and king capture rules.
    * This is used by UI highlighting and forced-capture rules.
    */
   _hasCaptureMoves(x, y) {
+    return this._getCaptureMoves(x, y).length > 0;
+  }
+
+  /**
+   * getCaptureSequences — enumerate every complete capture sequence that the
+   * piece at (x,y) can play. Each sequence is {sx, sy, path, captures, kings}
+   * where path lists the hop moves in order and kings counts captured kings.
+   */
+  getCaptureSequences(x, y) {
+    const sequences = [];
+    if (!this.getPiece(x, y)) return sequences;
+    this._collectSequences(x, y, [], 0, sequences);
+    for (const seq of sequences) {
+      seq.sx = x;
+      seq.sy = y;
+    }
+    return sequences;
+  }
+
+  /**
+   * _collectSequences — depth-first search behind getCaptureSequences.
+   * Plays each hop on the board in place (captured pieces marked as taken,
+   * same promotion rules as applyMove), recurses and restores the board.
+   */
+  _collectSequences(x, y, path, kings, out) {
+    const hops = this._getCaptureMoves(x, y);
+    if (hops.length === 0) {
+      if (path.length) out.push({ path: path.slice(), captures: path.length, kings });
+      return;
+    }
+
     const piece = this.getPiece(x, y);
-    if (!piece) return false;
+    const { promotion } = this.variant;
+    for (const hop of hops) {
+      const captured = this.getPiece(hop.captureX, hop.captureY);
+      const promotes = !this.isKing(piece) && this.isPromotionRow(piece, hop.y);
+      this.setPiece(x, y, PIECE_TYPES.EMPTY);
+      this.taken.push({ x: hop.captureX, y: hop.captureY });
+      this.setPiece(hop.x, hop.y, (promotes && promotion !== PROMOTION.END_OF_MOVE) ? this.promote(piece) : piece);
+      path.push(hop);
+
+      const capturedKings = kings + (this.isKing(captured) ? 1 : 0);
+      if (promotes && promotion === PROMOTION.ENDS_MOVE) {
+        out.push({ path: path.slice(), captures: path.length, kings: capturedKings });
+      } else {
+        this._collectSequences(hop.x, hop.y, path, capturedKings, out);
+      }
 
-    const isRed = this.isRed(piece);
-    const isKing = this.isKing(piece);
-    const inBounds = (xx, yy) => xx >= 0 && xx < BOARD_SIZE && yy >= 0 && yy < BOARD_SIZE;
-    const dirs = [[-1, -1], [1, -1], [-1, 1], [1, 1]];
-
-    // man capture: adjacent enemy with empty square beyond
-    if (!isKing) {
-      for (const [dx, dy] of [[-1, -1], [1, -1], [-1, 1], [1, 1]]) {
-        const nx = x + dx;
-        const ny = y + dy;
-        const jx = nx + dx;
-        const jy = ny + dy;
-        if (!inBounds(nx, ny) || !inBounds(jx, jy)) continue;
-        const target = this.getPiece(nx, ny);
-        if ((isRed && this.isBlack(target)) || (!isRed && this.isRed(target))) {
-          if (this.getPiece(jx, jy) === PIECE_TYPES.EMPTY) return true;
+      path.pop();
+      this.taken.pop();
+      this.setPiece(hop.x, hop.y, PIECE_TYPES.EMPTY);
+      this.setPiece(x, y, piece);
+    }
+  }
+
+  /**
+   * getBestCaptureSequences — the capture sequences the given color may play.
+   * With the variant's maxCapture rule only the longest sequences remain
+   * (then the ones taking most kings when kingPriority is set).
+   */
+  getBestCaptureSequences(color = this.currentTurn) {
+    let sequences = [];
+    if (this.inSequence && color === this.currentTurn) {
+      // a multi-jump in progress can only be continued by the moving piece
+      sequences = this.getCaptureSequences(this.selected.x, this.selected.y);
+    } else {
+      for (let y = 0; y < this.size; y++) {
+        for (let x = 0; x < this.size; x++) {
+          if (this.colorOf(this.getPiece(x, y)) !== color || this.isTaken(x, y)) continue;
+          sequences = sequences.concat(this.getCaptureSequences(x, y));
         }
       }
-      return false;
     }
-    // flying king: look along diagonals for an enemy followed by at least one empty square
-    for (const [dx, dy] of dirs) {
-      let step = 1;
-      let sawEnemy = false;
 
-      while (true) {
-        const nx = x + dx * step;
-        const ny = y + dy * step;
-        if (!inBounds(nx, ny)) break;
-
-        const target = this.getPiece(nx, ny);
-
-        if (!sawEnemy) {
-          if (target === PIECE_TYPES.EMPTY) {
-            step++;
-            continue;
-          } else if ((isRed && this.isBlack(target)) || (!isRed && this.isRed(target))) {
-            sawEnemy = true;
-            step++;
-            continue;
-          } else {
-            break; // own piece blocks
-          }
-        } else {
-          // after enemy: if at least one empty square exists, capture possible
-          if (target === PIECE_TYPES.EMPTY) return true;
-          else break;
-        }
+    if (!this.variant.maxCapture || sequences.length === 0) return sequences;
+
+    const most = Math.max(...sequences.map(seq => seq.captures));
+    let best = sequences.filter(seq => seq.captures === most);
+    if (this.variant.kingPriority) {
+      const mostKings = Math.max(...best.map(seq => seq.kings));
+      best = best.filter(seq => seq.kings === mostKings);
+    }
+    return best;
+  }
+
+  /**
+   * getAllowedMoves — the hops the piece at (x,y) may play right now.
+   * Unlike getLegalMoves this applies forced capture, the maximum-capture
+   * rule and the lock on a piece that is in the middle of a multi-jump.
+   */
+  getAllowedMoves(x, y) {
+    const color = this.colorOf(this.getPiece(x, y));
+    if (!color) return [];
+    if (this.inSequence && color === this.currentTurn &&
+        (this.selected.x !== x || this.selected.y !== y)) return [];
+
+    if (!this.mustCapture(color)) return this.getLegalMoves(x, y);
+    return firstHops(this.getBestCaptureSequences(color).filter(seq => seq.sx === x && seq.sy === y))
+      .map(m => m.move);
+  }
+
+  /**
+   * getAllAllowedMoves — every hop the given color may play right now, as
+   * {sx, sy, tx, ty, move} entries ready for applyMove. This is the move
+   * list shared by the UI and the AI.
+   */
+  getAllAllowedMoves(color = this.currentTurn) {
+    if (this.mustCapture(color)) return firstHops(this.getBestCaptureSequences(color));
+
+    const moves = [];
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (this.colorOf(this.getPiece(x, y)) !== color || this.isTaken(x, y)) continue;
+        for (const m of this.getAllowedMoves(x, y)) moves.push({ sx: x, sy: y, tx: m.x, ty: m.y, move: m });
       }
     }
-    return false;
+    return moves;
+  }
+
+  /**
+   * getCapturingPieces — squares of the pieces that may start a capture for
+   * the given color (only the ones leading to a best sequence).
+   * Used for the must-attack highlighting.
+   */
+  getCapturingPieces(color = this.currentTurn) {
+    if (!this.mustCapture(color)) return [];
+    const seen = new Set();
+    const pieces = [];
+    for (const seq of this.getBestCaptureSequences(color)) {
+      const key = seq.sy * this.size + seq.sx;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      pieces.push({ x: seq.sx, y: seq.sy });
+    }
+    return pieces;
   }
 
   /**
@@ -277,14 +670,15 @@ export default class GameState {
    * Returns true if any single piece can currently perform a jump.
    */
   hasAnyCaptureMoves(color = this.currentTurn) {
-    for (let y = 0; y < BOARD_SIZE; y++) {
-      for (let x = 0; x < BOARD_SIZE; x++) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
         const piece = this.getPiece(x, y);
         if (!piece || piece === PIECE_TYPES.EMPTY) continue;
 
         // only consider pieces belonging to the requested color
         if (color === PIECE_TYPES.RED && !this.isRed(piece)) continue;
         if (color === PIECE_TYPES.BLACK && !this.isBlack(piece)) continue;
+        if (this.isTaken(x, y)) continue;
 
         if (this._hasCaptureMoves(x, y)) return true;
       }
@@ -292,67 +686,185 @@ export default class GameState {
     return false;
   }
 
+  /**
+   * mustCapture — whether the given color is forced to capture this turn.
+   * True only when the variant makes capturing mandatory and at least one
+   * of the color's pieces has a jump available.
+   */
+  mustCapture(color = this.currentTurn) {
+    return this.variant.mandatoryCapture && this.hasAnyCaptureMoves(color);
+  }
+
+  /**
+   * positionKey — string identifying the position for repetition checks:
+   * every square plus the side to move.
+   */
+  positionKey() {
+    return this.board.map(row => row.join('')).join('/') + ':' + this.currentTurn;
+  }
+
+  /**
+   * countMaterial — number of men and kings per color, keyed by
+   * PIECE_TYPES.RED / PIECE_TYPES.BLACK ({ men, kings } each).
+   */
+  countMaterial() {
+    const material = {
+      [PIECE_TYPES.RED]: { men: 0, kings: 0 },
+      [PIECE_TYPES.BLACK]: { men: 0, kings: 0 }
+    };
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        const piece = this.getPiece(x, y);
+        const color = this.colorOf(piece);
+        if (!color || this.isTaken(x, y)) continue;
+        if (this.isKing(piece)) material[color].kings++;
+        else material[color].men++;
+      }
+    }
+    return material;
+  }
+
+  _materialSignature() {
+    const m = this.countMaterial();
+    const red = m[PIECE_TYPES.RED];
+    const black = m[PIECE_TYPES.BLACK];
+    return `${red.men},${red.kings},${black.men},${black.kings}`;
+  }
+
+  /**
+   * _recordPosition — update the draw bookkeeping after a completed move.
+   * A capture or man move is irreversible: it clears the repetition table
+   * and the king-move counter; the endgame counter restarts on any change
+   * of material.
+   */
+  _recordPosition(irreversible) {
+    if (irreversible) {
+      this.positionCounts.clear();
+      this.quietKingPlies = 0;
+    } else {
+      this.quietKingPlies++;
+    }
+
+    const signature = this._materialSignature();
+    if (signature !== this.endgameSignature) {
+      this.endgameSignature = signature;
+      this.endgamePlies = 0;
+    } else {
+      this.endgamePlies++;
+    }
+
+    const key = this.positionKey();
+    this.positionCounts.set(key, (this.positionCounts.get(key) || 0) + 1);
+  }
+
+  /**
+   * getDraw — check the variant's draw rules for the current position.
+   * Returns null while the game goes on, otherwise { reason, moves } with
+   * reason 'repetition' | 'kingMoves' | 'endgameLimit' | 'insufficientMaterial'.
+   */
+  getDraw() {
+    if (this.inSequence) return null;
+    const rules = this.variant.draw;
+
+    if ((this.positionCounts.get(this.positionKey()) || 0) >= rules.repetitions) {
+      return { reason: 'repetition', moves: rules.repetitions };
+    }
+
+    if (rules.kingMoves && this.quietKingPlies >= rules.kingMoves * 2) {
+      return { reason: 'kingMoves', moves: rules.kingMoves };
+    }
+
+    const material = this.countMaterial();
+    const red = material[PIECE_TYPES.RED];
+    const black = material[PIECE_TYPES.BLACK];
+    const loneKing = side => side.men === 0 && side.kings === 1;
+
+    // a single king each can never force a win
+    if (loneKing(red) && loneKing(black)) return { reason: 'insufficientMaterial', moves: 0 };
+
+    // lone king against a small force with kings: the variant's endgame move limits
+    for (const [weak, strong] of [[red, black], [black, red]]) {
+      if (!loneKing(weak)) continue;
+      const limit = rules.endgame.find(l => strong.men + strong.kings <= l.pieces && strong.kings >= l.kings);
+      if (limit && this.endgamePlies >= limit.moves * 2) return { reason: 'endgameLimit', moves: limit.moves };
+    }
+
+    return null;
+  }
+
+  /**
+   * getStatus — result of the game in the current position.
+   * Returns { state: 'ongoing' | 'win' | 'draw', winner, reason }: the side
+   * to move loses when it has no pieces ('noPieces') or no moves ('noMoves');
+   * draws carry the getDraw() reason and move limit.
+   */
+  getStatus() {
+    if (this.inSequence) return { state: 'ongoing', winner: null, reason: null };
+
+    const opponent = this.currentTurn === PIECE_TYPES.RED ? PIECE_TYPES.BLACK : PIECE_TYPES.RED;
+    const own = this.countMaterial()[this.currentTurn];
+    if (own.men + own.kings === 0) return { state: 'win', winner: opponent, reason: 'noPieces' };
+    if (this.getAllAllowedMoves().length === 0) return { state: 'win', winner: opponent, reason: 'noMoves' };
+
+    const draw = this.getDraw();
+    if (draw) return { state: 'draw', winner: null, reason: draw.reason, moves: draw.moves };
+
+    return { state: 'ongoing', winner: null, reason: null };
+  }
+
+  /**
+   * moveCount — number of completed moves (turns) recorded in the history;
+   * the hops of a multi-jump count as one move.
+   */
+  moveCount() {
+    return this.history.filter(entry => entry.endsTurn).length;
+  }
+
   /**
    * handleClick — UI-driven helper interpreting a board click at (x,y).
-   * Manages selection, allows only legal moves and enforces forced capture
-   * selection rules; returns true when state changed.
+   * Manages selection, allows only allowed moves (forced and maximum capture,
+   * unfinished multi-jumps) and returns true when state changed.
    */
   handleClick(x, y) {
-    if (x < 0 || x >= BOARD_SIZE || y < 0 || y >= BOARD_SIZE) return false;
+    if (x < 0 || x >= this.size || y < 0 || y >= this.size) return false;
 
     const piece = this.getPiece(x, y);
-    const anyCapture = this.hasAnyCaptureMoves();
 
     if (this.selected) {
-      // when a piece is selected, only consider allowed moves:
-      // if any capture exists globally, only allow jump moves
-      const moves = this.getLegalMoves(this.selected.x, this.selected.y);
-      const allowedMoves = anyCapture ? moves.filter(m => m.jump) : moves;
-      const move = allowedMoves.find(m => m.x === x && m.y === y);
-
+      const move = this.getAllowedMoves(this.selected.x, this.selected.y).find(m => m.x === x && m.y === y);
       if (move) {
         // actually apply the move — applyMove will handle captures, promotion,
         // continuing jumps (keeps selection) and turn switching
         this.applyMove(this.selected.x, this.selected.y, x, y, move);
-        // applyMove already changed board/selection/turn as needed
-        return true;
-      } else if (piece &&
-                 ((this.isRed(piece) && this.currentTurn === PIECE_TYPES.RED) ||
-                  (this.isBlack(piece) && this.currentTurn === PIECE_TYPES.BLACK))) {
-        // selecting another piece — only allow selecting a capturing piece if any capture exists
-        if (anyCapture && !this._hasCaptureMoves(x, y)) {
-          // cannot select this piece because there is at least one capture elsewhere
-          return false;
-        }
-        this.selected = { x, y };
-        return true;
-      } else {
-        this.selected = null;
-        return true;
-      }
-    } else {
-      // no piece currently selected: allow selecting only your piece
-      if (piece && ((this.isRed(piece) && this.currentTurn === PIECE_TYPES.RED) ||
-                    (this.isBlack(piece) && this.currentTurn === PIECE_TYPES.BLACK))) {
-        if (anyCapture && !this._hasCaptureMoves(x, y)) {
-          // there is a capture somewhere else — cannot select this non-capturing piece
-          return false;
-        }
-        this.selected = { x, y };
         return true;
       }
+      // a multi-jump in progress must be finished with the same piece
+      if (this.inSequence) return false;
+    }
+
+    if (piece && this.colorOf(piece) === this.currentTurn) {
+      // while a capture is forced only pieces that can start a best sequence are selectable
+      if (this.mustCapture() && this.getAllowedMoves(x, y).length === 0) return false;
+      this.selected = { x, y };
+      this.emit('select', { selected: this.selected });
+      return true;
     }
 
+    if (this.selected) {
+      this.selected = null;
+      this.emit('select', { selected: null });
+      return true;
+    }
     return false;
   }
 
   getPiece(x, y) {
-    if (x < 0 || x >= BOARD_SIZE || y < 0 || y >= BOARD_SIZE) return null;
+    if (x < 0 || x >= this.size || y < 0 || y >= this.size) return null;
     return this.board[y][x];
   }
 
   setPiece(x, y, piece) {
-    if (x < 0 || x >= BOARD_SIZE || y < 0 || y >= BOARD_SIZE) return;
+    if (x < 0 || x >= this.size || y < 0 || y >= this.size) return;
     this.board[y][x] = piece;
   }
 
@@ -367,4 +879,24 @@ export default class GameState {
   isKing(piece) {
     return piece === PIECE_TYPES.RED_KING || piece === PIECE_TYPES.BLACK_KING;
   }
+
+  colorOf(piece) {
+    if (this.isRed(piece)) return PIECE_TYPES.RED;
+    if (this.isBlack(piece)) return PIECE_TYPES.BLACK;
+    return null;
+  }
+
+  isEnemy(piece, other) {
+    return this.isRed(piece) ? this.isBlack(other) : (this.isBlack(piece) && this.isRed(other));
+  }
+
+  isPromotionRow(piece, y) {
+    return this.isRed(piece) ? y === 0 : y === this.size - 1;
+  }
+
+  promote(piece) {
+    if (piece === PIECE_TYPES.RED) return PIECE_TYPES.RED_KING;
+    if (piece === PIECE_TYPES.BLACK) return PIECE_TYPES.BLACK_KING;
+    return piece;
+  }
 }
@@ -0,0 +1,67 @@
+import { PIECE_TYPES } from '../constants/constants.js';
+import { squareNumber, squareCoords } from './squares.js';
+
+/**
+ * Draughts FEN — `W:W21,22,K30:B1,2,3`: side to move, then the white and
+ * black piece lists (K marks a king, ranges like 1-12 are allowed).
+ * White is PIECE_TYPES.RED (bottom of the board), black is PIECE_TYPES.BLACK.
+ */
+
+/**
+ * formatFEN — encode a board (board[y][x]) and side to move as FEN.
+ * Squares are listed in ascending order, kings prefixed with K.
+ */
+export function formatFEN(board, turn, size = board.length) {
+  const white = [];
+  const black = [];
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const piece = board[y][x];
+      const n = squareNumber(x, y, size);
+      if (!piece || n === null) continue;
+      const king = piece === PIECE_TYPES.RED_KING || piece === PIECE_TYPES.BLACK_KING;
+      const list = (piece === PIECE_TYPES.RED || piece === PIECE_TYPES.RED_KING) ? white : black;
+      list.push({ n, king });
+    }
+  }
+  const encode = list => list.sort((a, b) => a.n - b.n).map(p => (p.king ? 'K' : '') + p.n).join(',');
+  return `${turn === PIECE_TYPES.RED ? 'W' : 'B'}:W${encode(white)}:B${encode(black)}`;
+}
+
+/**
+ * parseFEN — decode a FEN string for a size×size board.
+ * Returns { board, turn }; throws an Error describing the first problem
+ * found (unknown side, bad square, square outside the board).
+ */
+export function parseFEN(fen, size) {
+  const text = String(fen).trim().replace(/^"|"$/g, '').replace(/\.$/, '');
+  const fields = text.split(':').map(f => f.trim());
+  const side = fields[0].toUpperCase();
+  if (side !== 'W' && side !== 'B') throw new Error(`FEN: unknown side to move "${fields[0]}"`);
+
+  const board = Array(size).fill(0).map(() => Array(size).fill(PIECE_TYPES.EMPTY));
+  for (const field of fields.slice(1)) {
+    if (!field) continue;
+    const color = field[0].toUpperCase();
+    if (color !== 'W' && color !== 'B') throw new Error(`FEN: unknown color in "${field}"`);
+
+    for (const token of field.slice(1).split(',')) {
+      const item = token.trim();
+      if (!item) continue;
+      const king = /^K/i.test(item);
+      const range = item.replace(/^K/i, '').split('-').map(Number);
+      const [from, to = from] = range;
+      if (range.length > 2 || !Number.isInteger(from) || !Number.isInteger(to)) {
+        throw new Error(`FEN: bad square "${item}"`);
+      }
+      for (let n = from; n <= to; n++) {
+        const sq = squareCoords(n, size);
+        if (!sq) throw new Error(`FEN: square ${n} is outside a ${size}×${size} board`);
+        if (color === 'W') board[sq.y][sq.x] = king ? PIECE_TYPES.RED_KING : PIECE_TYPES.RED;
+        else board[sq.y][sq.x] = king ? PIECE_TYPES.BLACK_KING : PIECE_TYPES.BLACK;
+      }
+    }
+  }
+
+  return { board, turn: side === 'W' ? PIECE_TYPES.RED : PIECE_TYPES.BLACK };
+}
@@ -0,0 +1,283 @@
+import { PIECE_TYPES } from '../constants/constants.js';
+import { VARIANTS } from '../constants/variants.js';
+import GameState from '../gameState.js';
+import { formatFEN } from './fen.js';
+import { squareNumber, squareCoords } from './squares.js';
+
+/**
+ * PDN (Portable Draughts Notation) reader and writer around GameState.
+ * Handles the standard tags (Event, White, Black, Result, GameType, FEN),
+ * numeric square notation, captures written with `x` and `{comments}`.
+ */
+
+const RESULT_TOKENS = new Set(['2-0', '0-2', '1-1', '0-0', '1-0', '0-1', '1/2-1/2', '*']);
+const TOKEN_RE = /\{[^}]*\}|\[[^\]]*\]|[()]|\d+\.(?:\.\.)?|1\/2-1\/2|\d+(?:[-x]\d+)+|\*|\$\d+|[!?]+|\S+/g;
+const TAG_RE = /^\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]$/;
+
+/**
+ * variantForGameType — map a PDN GameType tag value to a variant id.
+ * Exact matches (including the long "20,W,8,8,..." form) win; otherwise
+ * the leading type number decides. Returns null for unknown types.
+ */
+export function variantForGameType(gameType) {
+  if (!gameType) return null;
+  const text = String(gameType).trim();
+  const variants = Object.values(VARIANTS);
+  const exact = variants.find(v => v.pdnGameType === text);
+  if (exact) return exact.id;
+  const type = text.split(',')[0];
+  const byType = variants.find(v => v.pdnGameType === type);
+  return byType ? byType.id : null;
+}
+
+/**
+ * recordedLine — every recorded hop of the game in play order: the history
+ * followed by the hops that were undone and can still be redone.
+ */
+function recordedLine(gameState) {
+  return gameState.history.concat(gameState.future.slice().reverse());
+}
+
+/**
+ * groupMoves — fold per-hop history entries into whole moves: consecutive
+ * hops of one color up to the one that ended the turn form one move.
+ * Returns [{ color, hops, comment }].
+ */
+export function groupMoves(entries) {
+  const moves = [];
+  let current = null;
+  for (const entry of entries) {
+    if (!current) {
+      current = { color: entry.color, hops: [], comment: null };
+      moves.push(current);
+    }
+    current.hops.push(entry);
+    if (entry.comment) current.comment = entry.comment;
+    if (entry.endsTurn) current = null;
+  }
+  return moves;
+}
+
+/**
+ * moveText — PDN text of one grouped move, e.g. "32-28" or "28x19x10".
+ */
+function moveText(move, size) {
+  const first = move.hops[0];
+  const squares = [squareNumber(first.sx, first.sy, size)].concat(move.hops.map(h => squareNumber(h.tx, h.ty, size)));
+  return squares.join(first.move && first.move.jump ? 'x' : '-');
+}
+
+/**
+ * gameResult — PDN result for GameState.getStatus(): "*" while the game
+ * goes on. English scoring is 1-0 / 0-1 / 1/2-1/2, the other variants use
+ * 2-0 / 0-2 / 1-1.
+ */
+export function gameResult(gameState) {
+  const english = gameState.variant.id === 'english';
+  const status = gameState.getStatus();
+  if (status.state === 'draw') return english ? '1/2-1/2' : '1-1';
+  if (status.state !== 'win') return '*';
+  const whiteWins = status.winner === PIECE_TYPES.RED;
+  if (english) return whiteWins ? '1-0' : '0-1';
+  return whiteWins ? '2-0' : '0-2';
+}
+
+function escapeTag(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+function today() {
+  const d = new Date();
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}.${pad(d.getMonth() + 1)}.${pad(d.getDate())}`;
+}
+
+/**
+ * exportPDN — write the recorded game of a GameState as PDN text.
+ * `tags` override or extend the defaults (Event, Date, White, Black, Result,
+ * GameType); a FEN tag is added when the game did not start from the
+ * variant's initial position.
+ */
+export function exportPDN(gameState, tags = {}) {
+  const size = gameState.size;
+  const line = recordedLine(gameState);
+  const start = line.length ? line[0].before : { board: gameState.board, currentTurn: gameState.currentTurn };
+
+  const startFEN = formatFEN(start.board, start.currentTurn, size);
+  const fromInitial = startFEN === new GameState(gameState.variant.id, gameState.startRows).toFEN();
+
+  const allTags = {
+    Event: '?',
+    Date: today(),
+    White: '?',
+    Black: '?',
+    Result: gameResult(gameState),
+    GameType: gameState.variant.pdnGameType,
+    ...(fromInitial ? {} : { FEN: startFEN }),
+    ...tags
+  };
+
+  const tokens = [];
+  const firstTurn = gameState.variant.firstTurn;
+  let number = 1;
+  let needNumber = true;
+  for (const move of groupMoves(line)) {
+    // the move number stays on the same line as its move
+    let prefix = '';
+    if (move.color === firstTurn) prefix = `${number}. `;
+    else if (needNumber) prefix = `${number}... `;
+    needNumber = false;
+    tokens.push(prefix + moveText(move, size));
+    if (move.comment) tokens.push(`{${move.comment.replace(/}/g, ')')}}`);
+    if (move.color !== firstTurn) number++;
+  }
+  tokens.push(allTags.Result);
+
+  // wrap the movetext at 80 columns
+  const lines = [];
+  let current = '';
+  for (const token of tokens) {
+    if (current && current.length + token.length + 1 > 80) {
+      lines.push(current);
+      current = token;
+    } else {
+      current = current ? `${current} ${token}` : token;
+    }
+  }
+  if (current) lines.push(current);
+
+  const header = Object.entries(allTags).map(([k, v]) => `[${k} "${escapeTag(v)}"]`);
+  return `${header.join('\n')}\n\n${lines.join('\n')}\n`;
+}
+
+/**
+ * parsePDN — read every game of a PDN text.
+ * Returns [{ tags, moves, result, comment }] where each move is
+ * { squares, capture, comment }; variations in parentheses are skipped.
+ */
+export function parsePDN(text) {
+  const games = [];
+  let game = null;
+  let inMoves = false;
+  let variationDepth = 0;
+
+  const newGame = () => {
+    game = { tags: {}, moves: [], result: '*', comment: null };
+    games.push(game);
+    inMoves = false;
+  };
+
+  for (const token of String(text).match(TOKEN_RE) || []) {
+    if (token === '(') { variationDepth++; continue; }
+    if (token === ')') { variationDepth = Math.max(0, variationDepth - 1); continue; }
+    if (variationDepth > 0) continue;
+
+    if (token.startsWith('[')) {
+      const tag = TAG_RE.exec(token);
+      if (!tag) continue;
+      if (!game || inMoves) newGame();
+      game.tags[tag[1]] = tag[2].replace(/\\(.)/g, '$1');
+      continue;
+    }
+
+    if (!game) newGame();
+
+    if (token.startsWith('{')) {
+      const comment = token.slice(1, -1).trim();
+      const last = game.moves[game.moves.length - 1];
+      if (last) last.comment = last.comment ? `${last.comment} ${comment}` : comment;
+      else game.comment = comment;
+      continue;
+    }
+
+    if (RESULT_TOKENS.has(token)) {
+      game.result = token;
+      inMoves = true;
+      game = null; // the result closes the game; anything after starts a new one
+      continue;
+    }
+
+    if (/^\d+(?:[-x]\d+)+$/.test(token)) {
+      inMoves = true;
+      game.moves.push({
+        squares: token.split(/[-x]/).map(Number),
+        capture: token.includes('x'),
+        comment: null
+      });
+    }
+    // move numbers, NAGs and move annotations are ignored
+  }
+
+  return games.filter(g => g.moves.length || Object.keys(g.tags).length);
+}
+
+/**
+ * matchesPath — whether a capture sequence fits the landing squares written
+ * in PDN: the last one must match, intermediate ones (if any are written)
+ * must appear in order.
+ */
+function matchesPath(path, squares) {
+  const last = squares[squares.length - 1];
+  const end = path[path.length - 1];
+  if (end.x !== last.x || end.y !== last.y) return false;
+  let i = 0;
+  for (const hop of path) {
+    if (i < squares.length - 1 && hop.x === squares[i].x && hop.y === squares[i].y) i++;
+  }
+  return i === squares.length - 1;
+}
+
+/**
+ * playPDNMove — apply one parsed PDN move to the game (all hops of a
+ * capture sequence). Throws an Error when the move is not allowed.
+ */
+export function playPDNMove(gameState, pdnMove) {
+  const size = gameState.size;
+  const coords = pdnMove.squares.map(n => squareCoords(n, size));
+  const label = pdnMove.squares.join(pdnMove.capture ? 'x' : '-');
+  if (coords.some(c => !c) || coords.length < 2) throw new Error(`PDN: bad squares in move ${label}`);
+  const [from, ...rest] = coords;
+
+  let hops;
+  if (pdnMove.capture) {
+    const sequence = gameState.getBestCaptureSequences()
+      .find(seq => seq.sx === from.x && seq.sy === from.y && matchesPath(seq.path, rest));
+    hops = sequence ? sequence.path : null;
+  } else {
+    const to = rest[0];
+    const found = gameState.getAllAllowedMoves()
+      .find(m => !m.move.jump && m.sx === from.x && m.sy === from.y && m.tx === to.x && m.ty === to.y);
+    hops = found ? [found.move] : null;
+  }
+  if (!hops) throw new Error(`PDN: illegal move ${label}`);
+
+  let x = from.x;
+  let y = from.y;
+  for (const hop of hops) {
+    gameState.applyMove(x, y, hop.x, hop.y, hop);
+    x = hop.x;
+    y = hop.y;
+  }
+  if (pdnMove.comment && gameState.history.length) {
+    gameState.history[gameState.history.length - 1].comment = pdnMove.comment;
+  }
+}
+
+/**
+ * loadPDNGame — set a GameState up from a parsed PDN game: variant from
+ * GameType, start position from FEN, then every move in order so the
+ * history holds the whole game. Throws on illegal moves.
+ */
+export function loadPDNGame(gameState, game) {
+  const variantId = variantForGameType(game.tags.GameType);
+  gameState.setVariant(variantId || gameState.variant.id);
+  if (game.tags.FEN) gameState.fromFEN(game.tags.FEN);
+  game.moves.forEach((move, i) => {
+    try {
+      playPDNMove(gameState, move);
+    } catch (e) {
+      throw new Error(`${e.message} (ply ${i + 1})`);
+    }
+  });
+  return gameState;
+}
@@ -0,0 +1,26 @@
+/**
+ * Numeric square notation used by PDN and draughts FEN.
+ * Only dark squares are numbered, row by row from the top (black's side),
+ * left to right: on 8×8 square 1 is (1,0) and square 32 is (6,7).
+ */
+
+/**
+ * squareNumber — PDN square number of the dark square at (x,y).
+ * Returns null for light squares.
+ */
+export function squareNumber(x, y, size) {
+  if ((x + y) % 2 !== 1) return null;
+  return y * (size / 2) + Math.floor(x / 2) + 1;
+}
+
+/**
+ * squareCoords — board coordinates {x,y} of a PDN square number.
+ * Returns null when the number is outside the board.
+ */
+export function squareCoords(n, size) {
+  const perRow = size / 2;
+  if (!Number.isInteger(n) || n < 1 || n > perRow * size) return null;
+  const y = Math.floor((n - 1) / perRow);
+  const x = 2 * ((n - 1) % perRow) + (y % 2 === 0 ? 1 : 0);
+  return { x, y };
+}
@@ -216,7 +216,7 @@ export default class Renderer {
     // instanceManager already created above to avoid races
   }
 
-  buildInstances(gameState) {
+  buildInstances(gameState, overlay) {
     if (!this.instanceManager) {
       // If instanceManager isn't set for any reason, create one on-demand and log.
       console.warn('Renderer.buildInstances called before instanceManager was initialized — creating on-demand.');
@@ -226,7 +226,7 @@ export default class Renderer {
         () => this.buffers.maxInstances
       );
     }
-    this.instanceManager.buildInstances(gameState);
+    this.instanceManager.buildInstances(gameState, overlay);
     this.instanceManager.ensureCapacity(this.buffers.recreateInstanceBuffer);
     this.instanceManager.uploadInstances();
   }
@@ -1,5 +1,14 @@
 import { mat4 } from 'gl-matrix';
-import { PIECE_TYPES, COLORS, BOARD_Y } from '../constants/constants.js';
+import { COLORS, BOARD_Y } from '../constants/constants.js';
+
+/**
+ * ghostColor — wash a piece color out towards COLORS.TAKEN_GHOST so pieces
+ * that are already captured (but not yet removed) read as translucent.
+ */
+function ghostColor(color) {
+  const t = 0.65;
+  return color.map((c, i) => c + (COLORS.TAKEN_GHOST[i] - c) * t);
+}
 
 /**
  * InstanceManager — collects per-instance transform/color buffers and uploads them
@@ -53,21 +62,24 @@ export default class InstanceManager {
   /**
    * buildInstances — populate the instance list from a given gameState.
    * Iterates board squares, pieces, selection and valid moves to emit
-   * the visible instances which will be uploaded for rendering.
+   * the visible instances; the caller uploads them after ensureCapacity.
+   * overlay.hint, a chooseAIMove result, marks a suggested move.
    */
-  buildInstances(gameState) {
+  buildInstances(gameState, overlay = {}) {
     this.instances = [];
 
-    const anyCapture = gameState.hasAnyCaptureMoves();
+    // board is centred on the origin, one world unit per square
+    const size = gameState.size;
+    const offset = (size - 1) / 2;
 
     // board squares
-    for (let y = 0; y < 8; y++) {
-      for (let x = 0; x < 8; x++) {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
         const isDark = (x + y) % 2 === 1;
         const col = isDark ? COLORS.DARK_SQUARE : COLORS.LIGHT_SQUARE;
         const h = 0.1;
-        const px = (x - 3.5) * 1.0;
-        const pz = (y - 3.5) * 1.0;
+        const px = (x - offset) * 1.0;
+        const pz = (y - offset) * 1.0;
         const model = this.createModelMatrix(px, BOARD_Y, pz, 1.0, h, 1.0);
         this.pushInstance(model, col);
       }
@@ -82,17 +94,20 @@ export default class InstanceManager {
     this.firstCheckerIndex = this.instances.length;
 
     // pieces
-    for (let y = 0; y < 8; y++) {
-      for (let x = 0; x < 8; x++) {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
         const piece = gameState.getPiece(x, y);
         if (piece === 0) continue;
         const isRed = gameState.isRed(piece);
         const isKing = gameState.isKing(piece);
-        const color = isRed ? COLORS.RED_PIECE : COLORS.BLACK_PIECE;
+        // pieces taken in a multi-jump still in progress stay on the board, ghosted
+        const taken = gameState.isTaken(x, y);
+        const color = taken ? ghostColor(isRed ? COLORS.RED_PIECE : COLORS.BLACK_PIECE)
+                            : (isRed ? COLORS.RED_PIECE : COLORS.BLACK_PIECE);
 
         const h = 0.4;
-        const px = (x - 3.5) * 1.0;
-        const pz = (y - 3.5) * 1.0;
+        const px = (x - offset) * 1.0;
+        const pz = (y - offset) * 1.0;
         // If a checker GLB primitive has been supplied in the renderer buffers, prefer using
         // that model; otherwise fall back to the cube instance so pieces still render.
         const checkerMeta = this.instanceBufRef.checker;
@@ -164,67 +179,80 @@ export default class InstanceManager {
     // record start of crowns so we can draw them separately (cylinders)
     this.firstCrownIndex = this.instances.length;
     this.crownCount = 0;
-    // iterate pieces again to add crowns and must-attack markers in the remaining instance region
-    for (let y2 = 0; y2 < 8; y2++) {
-      for (let x2 = 0; x2 < 8; x2++) {
+    // iterate pieces again to add crowns in the remaining instance region
+    for (let y2 = 0; y2 < size; y2++) {
+      for (let x2 = 0; x2 < size; x2++) {
         const piece2 = gameState.getPiece(x2, y2);
         if (piece2 === 0) continue;
-        const isRed2 = gameState.isRed(piece2);
         const isKing2 = gameState.isKing(piece2);
 
         const h2 = 0.4;
-        const px2 = (x2 - 3.5) * 1.0;
-        const pz2 = (y2 - 3.5) * 1.0;
+        const px2 = (x2 - offset) * 1.0;
+        const pz2 = (y2 - offset) * 1.0;
 
         if (isKing2) {
           // place crown slightly above the piece surface so it is visible but low-profile
           // h2 is the approximate piece height, so sit the crown on top with a small offset
           const crownModel = this.createModelMatrix(px2, BOARD_Y + h2 + 0.02, pz2, 0.5, 0.08, 0.5);
-          this.pushInstance(crownModel, COLORS.KING_CROWN);
+          this.pushInstance(crownModel, gameState.isTaken(x2, y2) ? ghostColor(COLORS.KING_CROWN) : COLORS.KING_CROWN);
           // debug log to help track crown insertion and ranges
           try { console.debug('InstanceManager: crown pushed', { x: x2, y: y2, firstCrownIndex: this.firstCrownIndex, crownCount: this.crownCount }); } catch (e) {}
           this.crownCount++;
         }
-
-        if (anyCapture) {
-          const isCurrentPlayerPiece2 = (isRed2 && gameState.currentTurn === PIECE_TYPES.RED) ||
-                                        (!isRed2 && gameState.currentTurn === PIECE_TYPES.BLACK);
-          if (isCurrentPlayerPiece2 && gameState._hasCaptureMoves(x2, y2)) {
-            // thin overlay field-sized marker
-            const mustModel = this.createModelMatrix(px2, BOARD_Y + 0.02, pz2, 0.98, 0.02, 0.98);
-            this.pushInstance(mustModel, COLORS.MUST_ATTACK, 1);
-          }
-        }
       }
     }
 
+    // must-attack markers go after the crowns so the crown range stays contiguous;
+    // only pieces that can start a sequence allowed by the capture rules are marked
+    for (const { x, y } of gameState.getCapturingPieces()) {
+      // thin overlay field-sized marker
+      const mustModel = this.createModelMatrix((x - offset) * 1.0, BOARD_Y + 0.02, (y - offset) * 1.0, 0.98, 0.02, 0.98);
+      this.pushInstance(mustModel, COLORS.MUST_ATTACK, 1);
+    }
+
     // Selected piece highlight and valid moves
     if (gameState.selected) {
       const { x, y } = gameState.selected;
-      const px = (x - 3.5) * 1.0;
-      const pz = (y - 3.5) * 1.0;
+      const px = (x - offset) * 1.0;
+      const pz = (y - offset) * 1.0;
 
       const glowModel = this.createModelMatrix(px, BOARD_Y + 0.02, pz, 0.9, 0.04, 0.9);
       this.pushInstance(glowModel, COLORS.SELECTED_GLOW);
 
-      let moves = gameState.getLegalMoves(x, y);
-      if (anyCapture) moves = moves.filter(m => m.jump);
+      const moves = gameState.getAllowedMoves(x, y);
 
       for (const move of moves) {
-        const mpx = (move.x - 3.5) * 1.0;
-        const mpz = (move.y - 3.5) * 1.0;
+        const mpx = (move.x - offset) * 1.0;
+        const mpz = (move.y - offset) * 1.0;
         const markerModel = this.createModelMatrix(mpx, BOARD_Y + 0.12, mpz, 0.25, 0.08, 0.25);
         this.pushInstance(markerModel, COLORS.VALID_MOVE);
       }
     }
 
+    // Suggested move: start and target squares pulse, the landing squares
+    // of a multi-jump in between get a small marker each
+    if (overlay.hint) {
+      const { sx, sy, path } = overlay.hint;
+      const fromModel = this.createModelMatrix((sx - offset) * 1.0, BOARD_Y + 0.03, (sy - offset) * 1.0, 0.98, 0.04, 0.98);
+      this.pushInstance(fromModel, COLORS.HINT, 1);
+      path.forEach((hop, i) => {
+        const hpx = (hop.x - offset) * 1.0;
+        const hpz = (hop.y - offset) * 1.0;
+        if (i === path.length - 1) {
+          this.pushInstance(this.createModelMatrix(hpx, BOARD_Y + 0.03, hpz, 0.98, 0.04, 0.98), COLORS.HINT, 1);
+        } else {
+          this.pushInstance(this.createModelMatrix(hpx, BOARD_Y + 0.12, hpz, 0.3, 0.08, 0.3), COLORS.HINT_PATH);
+        }
+      });
+    }
+
     // Debug: report instance ranges and counts (one-line log helps trace render offsets)
     try {
       console.debug('buildInstances: counts', { cubeCount: this.cubeCount, firstCheckerIndex: this.firstCheckerIndex, checkerCount: this.checkerCount, totalInstances: this.instances.length });
     } catch (e) {}
 
-    // Upload instance buffer
-    this.uploadInstances();
+    // Upload happens in Renderer.buildInstances once capacity is ensured
+    // (a 12×12 board does not fit the initial instance buffer)
   }
 
   /**
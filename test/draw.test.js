@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import GameState from '../src/gameScripts/gameState.js';
+
+/**
+ * drawAfter — getDraw() for a FEN position once its material has stood for
+ * `moves` moves per side (the endgame counter is set directly).
+ */
+function drawAfter(variantId, fen, moves) {
+  const gameState = new GameState(variantId);
+  gameState.fromFEN(fen);
+  gameState.endgamePlies = moves * 2;
+  return gameState.getDraw();
+}
+
+test('russian: three kings against a lone king are drawn after 15 moves', () => {
+  assert.equal(drawAfter('russian', 'W:WK1,K2,K3:BK32', 14), null);
+  assert.deepEqual(drawAfter('russian', 'W:WK1,K2,K3:BK32', 15), { reason: 'endgameLimit', moves: 15 });
+});
+
+test('russian: no 15-move draw while the stronger side still has men', () => {
+  assert.equal(drawAfter('russian', 'W:WK1,K2,22:BK32', 15), null);
+  assert.equal(drawAfter('russian', 'W:W1,2,22:BK32', 15), null);
+});
+
+test('polish: a king and a man against a lone king are drawn after 5 moves', () => {
+  assert.deepEqual(drawAfter('polish', 'W:WK1,22:BK32', 5), { reason: 'endgameLimit', moves: 5 });
+  assert.equal(drawAfter('polish', 'W:W1,22:BK32', 5), null);
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import GameState from '../src/gameScripts/gameState.js';
+import { parsePDN, loadPDNGame, exportPDN } from '../src/gameScripts/notation/pdn.js';
+
+const TAGS = { Date: '2024.01.01' };
+
+/**
+ * roundTrip — export of a PDN game after importing it, taking every move
+ * back and replaying it again (as the import in the UI does).
+ */
+function roundTrip(text, variantId) {
+  const gameState = new GameState(variantId);
+  loadPDNGame(gameState, parsePDN(text)[0]);
+  const imported = exportPDN(gameState, TAGS);
+  while (gameState.undo());
+  while (gameState.redo());
+  return { imported, replayed: exportPDN(gameState, TAGS) };
+}
+
+test('undo and redo keep the comments of an imported game', () => {
+  const { imported, replayed } = roundTrip('[GameType "21"]\n1. 11-15 {main line} 23-19 2. 8-11 22-17 {quiet} *', 'english');
+  assert.match(imported, /\{main line\}.*\{quiet\}/);
+  assert.equal(replayed, imported);
+});
+
+test('undo and redo keep a comment after a capture', () => {
+  const { imported, replayed } = roundTrip('[GameType "20"]\n1. 32-28 19-23 2. 28x19 {forced} 14x23 {recaptures} *', 'polish');
+  assert.match(imported, /\{forced\}.*\{recaptures\}/);
+  assert.equal(replayed, imported);
+});
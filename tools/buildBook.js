@@ -0,0 +1,120 @@
+import { readFileSync, writeFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import GameState from '../src/gameScripts/gameState.js';
+import { VARIANTS } from '../src/gameScripts/constants/variants.js';
+import { squareNumber } from '../src/gameScripts/notation/squares.js';
+import { parsePDN, playPDNMove, variantForGameType } from '../src/gameScripts/notation/pdn.js';
+import { bookKey } from '../src/gameScripts/ai/openingBook.js';
+import { parseArgs, numberArg } from './cliArgs.js';
+
+/**
+ * Builds an opening book (see src/gameScripts/ai/openingBook.js) from PDN
+ * games: every position of the first plies of each game becomes a book
+ * entry, and each reply is weighted by how many games played it.
+ *
+ *   npm run book -- tools/openings/english.pdn --variant english
+ *
+ * Options (defaults in parentheses):
+ *   --variant    games of other variants are skipped (GameType of the first game)
+ *   --plies      plies of each game taken into the book (16)
+ *   --min-count  replies played fewer times are dropped (1)
+ *   --out        output file (src/gameScripts/ai/books/<variant>.json)
+ * A new variant's book also has to be added to BOOKS in openingBook.js.
+ */
+
+/**
+ * playedText — PDN text, with every landing square, of the move made by the
+ * history entries from `start` on.
+ */
+function playedText(gameState, start) {
+  const hops = gameState.history.slice(start);
+  const size = gameState.size;
+  const squares = [squareNumber(hops[0].sx, hops[0].sy, size)].concat(hops.map(h => squareNumber(h.tx, h.ty, size)));
+  return squares.join(hops[0].move && hops[0].move.jump ? 'x' : '-');
+}
+
+/**
+ * addGame — count the replies of the first `plies` moves of a parsed PDN
+ * game into `positions` (key -> Map of move text -> count). A game with an
+ * illegal move throws before anything of it is counted.
+ */
+function addGame(positions, variantId, game, plies) {
+  const gs = new GameState(variantId);
+  if (game.tags.FEN) gs.fromFEN(game.tags.FEN);
+  const played = [];
+  for (const move of game.moves.slice(0, plies)) {
+    const key = bookKey(gs);
+    const start = gs.history.length;
+    playPDNMove(gs, move);
+    played.push([key, playedText(gs, start)]);
+  }
+  for (const [key, text] of played) {
+    if (!positions.has(key)) positions.set(key, new Map());
+    const replies = positions.get(key);
+    replies.set(text, (replies.get(text) || 0) + 1);
+  }
+}
+
+/**
+ * writeBook — book JSON with one position per line, replies heaviest first.
+ */
+function writeBook(path, variantId, positions, minCount) {
+  const lines = [];
+  for (const key of [...positions.keys()].sort()) {
+    const replies = [...positions.get(key)]
+      .filter(([, count]) => count >= minCount)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([move, weight]) => ({ move, weight }));
+    if (replies.length) lines.push(`    "${key}": ${JSON.stringify(replies)}`);
+  }
+  const json = [
+    '{',
+    `  "variant": ${JSON.stringify(variantId)},`,
+    '  "positions": {',
+    lines.join(',\n'),
+    '  }',
+    '}'
+  ].join('\n');
+  writeFileSync(path, json + '\n');
+  return lines.length;
+}
+
+function main() {
+  const { options, positional } = parseArgs(process.argv.slice(2));
+  if (!positional.length) throw new Error('Usage: node tools/buildBook.js <games.pdn>... [--variant id] [--plies n] [--out file]');
+  const plies = numberArg(options, 'plies', 16);
+  const minCount = numberArg(options, 'min-count', 1);
+
+  const games = positional.flatMap(file => parsePDN(readFileSync(file, 'utf8')));
+  const variantId = options.variant || variantForGameType(games[0] && games[0].tags.GameType);
+  if (!VARIANTS[variantId]) throw new Error(`Unknown variant "${variantId}"`);
+  const out = resolve(options.out || `src/gameScripts/ai/books/${variantId}.json`);
+
+  const positions = new Map();
+  let used = 0;
+  let skipped = 0;
+  games.forEach((game, i) => {
+    const gameVariant = variantForGameType(game.tags.GameType) || variantId;
+    if (gameVariant !== variantId) {
+      skipped++;
+      return;
+    }
+    try {
+      addGame(positions, variantId, game, plies);
+      used++;
+    } catch (e) {
+      console.warn(`Game ${i + 1} (${game.tags.Event || 'no event'}) skipped: ${e.message}`);
+      skipped++;
+    }
+  });
+
+  const count = writeBook(out, variantId, positions, minCount);
+  console.log(`${used} games (${skipped} skipped) -> ${count} positions in ${out}`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}
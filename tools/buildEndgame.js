@@ -0,0 +1,271 @@
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { PIECE_TYPES } from '../src/gameScripts/constants/constants.js';
+import { VARIANTS } from '../src/gameScripts/constants/variants.js';
+import Bitboard, { popcount } from '../src/gameScripts/ai/bitboard.js';
+import {
+  MEN_SQUARES, SQUARES, binomial, materialKey, reverseBits, tableIndex, tableSize
+} from '../src/gameScripts/ai/endgame.js';
+import { parseArgs, numberArg } from './cliArgs.js';
+
+/**
+ * Retrograde generator of the endgame tables read by
+ * src/gameScripts/ai/endgame.js (see there for the file format).
+ *
+ *   npm run endgame -- --variant polish --pieces 4
+ *
+ * Materials are solved from the fewest pieces up; within a piece count,
+ * positions with fewer men first, since captures and promotions only lead
+ * to materials solved before. A material and its color-swapped twin are
+ * solved together because quiet moves alternate between them.
+ *
+ * Options (defaults in parentheses):
+ *   --variant  8×8 rule variant (polish)
+ *   --pieces   largest number of pieces on the board (4); every extra
+ *              piece multiplies time and memory by roughly 30
+ *   --out      output directory (public/endgame/<variant>)
+ */
+
+const MAX_DISTANCE = 254;
+
+/**
+ * unrankSquares — mask of the `k` squares with colex rank `rank`, counted
+ * from square `offset` among `n` squares.
+ */
+function unrankSquares(rank, k, n, offset) {
+  let mask = 0;
+  let c = n - 1;
+  for (let i = k; i >= 1; i--) {
+    while (binomial(c, i) > rank) c--;
+    rank -= binomial(c, i);
+    mask |= 1 << (c + offset);
+    c--;
+  }
+  return mask;
+}
+
+/**
+ * decode — { own, enemy, kings } of slot `index` of a material, or null
+ * when its pieces overlap.
+ */
+function decode(material, index) {
+  const [om, ok, em, ek] = material;
+  let rest = index;
+  const enemyKings = unrankSquares(rest % binomial(SQUARES, ek), ek, SQUARES, 0);
+  rest = Math.floor(rest / binomial(SQUARES, ek));
+  const enemyMen = unrankSquares(rest % binomial(MEN_SQUARES, em), em, MEN_SQUARES, 0);
+  rest = Math.floor(rest / binomial(MEN_SQUARES, em));
+  const ownKings = unrankSquares(rest % binomial(SQUARES, ok), ok, SQUARES, 0);
+  rest = Math.floor(rest / binomial(SQUARES, ok));
+  const ownMen = unrankSquares(rest, om, MEN_SQUARES, SQUARES - MEN_SQUARES);
+  const own = ownMen | ownKings;
+  const enemy = enemyMen | enemyKings;
+  if (popcount(own | enemy) !== om + ok + em + ek) return null;
+  return { own, enemy, kings: ownKings | enemyKings };
+}
+
+/**
+ * materialGroups — every material with at least one piece per side and at most
+ * `pieces` in all, grouped with its color-swapped twin, in solving order.
+ */
+function materialGroups(pieces) {
+  const groups = new Map();
+  for (let n = 2; n <= pieces; n++) {
+    for (let own = 1; own < n; own++) {
+      for (let om = 0; om <= own; om++) {
+        for (let em = 0; em <= n - own; em++) {
+          const a = [om, own - om, em, n - own - em];
+          const b = [a[2], a[3], a[0], a[1]];
+          const id = [materialKey(...a), materialKey(...b)].sort().join('/');
+          if (!groups.has(id)) groups.set(id, { pieces: n, men: om + em, members: id === `${materialKey(...a)}/${materialKey(...a)}` ? [a] : [a, b] });
+        }
+      }
+    }
+  }
+  return [...groups.values()].sort((x, y) => x.pieces - y.pieces || x.men - y.men);
+}
+
+class IntList {
+  constructor() {
+    this.data = new Int32Array(1024);
+    this.length = 0;
+  }
+
+  push(value) {
+    if (this.length === this.data.length) {
+      const grown = new Int32Array(this.data.length * 2);
+      grown.set(this.data);
+      this.data = grown;
+    }
+    this.data[this.length++] = value;
+  }
+}
+
+const loneKing = (side, kings) => popcount(side) === 1 && (side & ~kings) === 0;
+
+/**
+ * solveGroup — table bytes for every member of a material group, given the
+ * already solved tables of smaller materials.
+ */
+function solveGroup(group, variant, solved) {
+  const members = group.members.map(m => ({ material: m, key: materialKey(...m), size: tableSize(...m) }));
+  let total = 0;
+  for (const m of members) {
+    m.offset = total;
+    total += m.size;
+  }
+  const value = new Uint8Array(total);
+  const [first] = members;
+  // a single king on each side is a draw by rule
+  if (members.length === 1 && first.key === '0101') return new Map([[first.key, value]]);
+
+  const FINAL = 1;
+  const INVALID = 2;
+  const state = new Uint8Array(total);
+  const pending = new Uint16Array(total); // successors not yet known to be lost for us
+  const bestWin = new Uint16Array(total);  // smallest win found so far, as distance + 1
+  const longestLoss = new Uint16Array(total);
+  const edgeFrom = new IntList();
+  const edgeTo = new IntList();
+  const buckets = Array.from({ length: MAX_DISTANCE + 2 }, () => []);
+  const board = new Bitboard(variant);
+  const byKey = new Map(members.map(m => [m.key, m]));
+
+  for (const m of members) {
+    for (let index = 0; index < m.size; index++) {
+      const p = m.offset + index;
+      const position = decode(m.material, index);
+      if (!position) {
+        state[p] = INVALID;
+        continue;
+      }
+      const { own, enemy, kings } = position;
+      board.red = own;
+      board.black = enemy;
+      board.kings = kings;
+      board.turn = PIECE_TYPES.RED;
+      const moves = board.generateMoves(PIECE_TYPES.RED);
+      if (!moves.length) {
+        buckets[0].push(p);
+        continue;
+      }
+
+      for (const move of moves) {
+        const fromBit = 1 << move.from;
+        const toBit = 1 << move.to;
+        let victims = 0;
+        for (const v of move.victims) victims |= 1 << v;
+        const nextOwn = (own & ~fromBit) | toBit;
+        const nextEnemy = enemy & ~victims;
+        let nextKings = kings & ~(fromBit | victims);
+        if ((kings & fromBit) || move.crowned) nextKings |= toBit;
+
+        // the opponent moves next: turn the board around
+        const them = reverseBits(nextEnemy);
+        if (!them) {
+          if (!bestWin[p] || bestWin[p] > 2) bestWin[p] = 2;
+          pending[p]++;
+          continue;
+        }
+        const us = reverseBits(nextOwn);
+        const k = reverseBits(nextKings);
+        if (loneKing(them, k) && loneKing(us, k)) {
+          pending[p]++;
+          continue;
+        }
+        const { key, index: next } = tableIndex(them, us, k);
+        const member = byKey.get(key);
+        if (member) {
+          edgeFrom.push(p);
+          edgeTo.push(member.offset + next);
+          pending[p]++;
+          continue;
+        }
+        const byte = solved.get(key)[next];
+        if (byte && (byte - 1) % 2 === 1) {
+          // the opponent wins there
+          longestLoss[p] = Math.max(longestLoss[p], byte);
+        } else {
+          if (byte && (!bestWin[p] || bestWin[p] > byte + 1)) bestWin[p] = byte + 1;
+          pending[p]++;
+        }
+      }
+      if (bestWin[p]) buckets[bestWin[p] - 1].push(p);
+      else if (!pending[p]) buckets[longestLoss[p]].push(p);
+    }
+  }
+
+  // predecessors of each position, grouped by successor (counting sort)
+  const start = new Int32Array(total + 1);
+  for (let e = 0; e < edgeTo.length; e++) start[edgeTo.data[e] + 1]++;
+  for (let p = 0; p < total; p++) start[p + 1] += start[p];
+  const fill = start.slice(0, total);
+  const preds = new Int32Array(edgeTo.length);
+  for (let e = 0; e < edgeTo.length; e++) preds[fill[edgeTo.data[e]]++] = edgeFrom.data[e];
+
+  // positions are finalized in order of distance, so the first value
+  // reached is the shortest win; a loss waits for its last successor
+  for (let d = 0; d <= MAX_DISTANCE; d++) {
+    const bucket = buckets[d];
+    for (let i = 0; i < bucket.length; i++) {
+      const p = bucket[i];
+      if (state[p] === FINAL) continue;
+      state[p] = FINAL;
+      value[p] = d + 1;
+      for (let j = start[p]; j < start[p + 1]; j++) {
+        const q = preds[j];
+        if (state[q] === FINAL) continue;
+        if (d % 2 === 0) {
+          if (!bestWin[q] || bestWin[q] > d + 2) {
+            bestWin[q] = d + 2;
+            if (d + 1 > MAX_DISTANCE) throw new Error(`Distance over ${MAX_DISTANCE} in ${group.members.map(m => materialKey(...m))}`);
+            buckets[d + 1].push(q);
+          }
+        } else {
+          longestLoss[q] = Math.max(longestLoss[q], d + 1);
+          if (--pending[q] === 0 && !bestWin[q]) {
+            if (longestLoss[q] > MAX_DISTANCE) throw new Error(`Distance over ${MAX_DISTANCE} in ${group.members.map(m => materialKey(...m))}`);
+            buckets[longestLoss[q]].push(q);
+          }
+        }
+      }
+    }
+  }
+
+  return new Map(members.map(m => [m.key, value.subarray(m.offset, m.offset + m.size)]));
+}
+
+function main() {
+  const { options, positional } = parseArgs(process.argv.slice(2));
+  if (positional.length) throw new Error(`Unexpected argument: ${positional[0]}`);
+  const variantId = options.variant || 'polish';
+  const variant = VARIANTS[variantId];
+  if (!variant) throw new Error(`Unknown variant "${variantId}"`);
+  if (variant.boardSize !== 8) throw new Error('Endgame tables are only built for 8×8 variants');
+  const pieces = numberArg(options, 'pieces', 4);
+  const out = resolve(options.out || `public/endgame/${variantId}`);
+
+  const solved = new Map();
+  const started = Date.now();
+  for (const group of materialGroups(pieces)) {
+    const tables = solveGroup(group, variant, solved);
+    for (const [key, table] of tables) {
+      solved.set(key, table);
+      const wins = table.reduce((n, b) => n + (b && (b - 1) % 2 === 1 ? 1 : 0), 0);
+      console.log(`${key}: ${table.length} positions, ${wins} won (${((Date.now() - started) / 1000).toFixed(1)}s)`);
+    }
+  }
+
+  mkdirSync(out, { recursive: true });
+  for (const [key, table] of solved) writeFileSync(resolve(out, `${key}.bin`), table);
+  const index = { variant: variantId, pieces, tables: [...solved.keys()] };
+  writeFileSync(resolve(out, 'index.json'), JSON.stringify(index, null, 2) + '\n');
+  console.log(`${solved.size} tables written to ${out}`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}
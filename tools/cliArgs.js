@@ -0,0 +1,35 @@
+/**
+ * Command-line parsing shared by the Node tools: `--key value` options and
+ * positional arguments.
+ */
+
+/**
+ * parseArgs — { options, positional } from argv (without node and the
+ * script path). Every option takes a value.
+ */
+export function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      positional.push(argv[i]);
+      continue;
+    }
+    const key = argv[i].slice(2);
+    const value = argv[i + 1];
+    if (value === undefined || value.startsWith('--')) throw new Error(`Missing value for --${key}`);
+    options[key] = value;
+    i++;
+  }
+  return { options, positional };
+}
+
+/**
+ * numberArg — option `key` as a number, `fallback` when it is not given.
+ */
+export function numberArg(options, key, fallback) {
+  if (options[key] === undefined) return fallback;
+  const n = Number(options[key]);
+  if (!Number.isFinite(n)) throw new Error(`--${key} expects a number, got ${options[key]}`);
+  return n;
+}
@@ -0,0 +1,159 @@
+import { readFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import GameState from '../src/gameScripts/gameState.js';
+import { PIECE_TYPES } from '../src/gameScripts/constants/constants.js';
+import { chooseAIMove } from '../src/gameScripts/ai/ai.js';
+import { loadEndgameTables } from '../src/gameScripts/ai/endgame.js';
+import { groupMoves, parsePDN, playPDNMove } from '../src/gameScripts/notation/pdn.js';
+
+/**
+ * Headless engine-vs-engine games for the Node tools: no renderer, no
+ * worker, just GameState and chooseAIMove.
+ */
+
+/**
+ * createRandom — seeded xorshift32 returning floats in [0, 1), so a run
+ * with the same seed replays the same openings.
+ */
+export function createRandom(seed = Date.now()) {
+  let state = (seed | 0) || 0x9e3779b9;
+  return () => {
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    return (state >>> 0) / 0x100000000;
+  };
+}
+
+/**
+ * loadTables — load the endgame tables of `variantId` from `dir` (where
+ * buildEndgame.js writes them under endgame/<variant>), so the engines
+ * probe the same tables as in the browser. `dir` "none" plays without
+ * them. Resolves to whether tables were loaded.
+ */
+export function loadTables(variantId, dir = 'public') {
+  if (dir === 'none') return Promise.resolve(false);
+  return loadEndgameTables(variantId, path => readFile(resolve(dir, path)));
+}
+
+/**
+ * randomOpening — `plies` random legal moves (whole multi-jumps) from the
+ * start of `variantId`, as a list of paths that playOpening replays; the
+ * same opening is played with colors swapped to cancel out its bias.
+ */
+export function randomOpening(variantId, plies, random) {
+  const gs = new GameState(variantId);
+  const opening = [];
+  for (let i = 0; i < plies && gs.getStatus().state === 'ongoing'; i++) {
+    const moves = gs.getAllAllowedMoves();
+    const pick = moves[Math.floor(random() * moves.length)];
+    const path = [{ sx: pick.sx, sy: pick.sy, tx: pick.tx, ty: pick.ty, move: pick.move }];
+    gs.applyMove(pick.sx, pick.sy, pick.tx, pick.ty, pick.move);
+    // finish a multi-jump along its first continuation
+    while (gs.inSequence) {
+      const { x, y } = gs.selected;
+      const next = gs.getAllowedMoves(x, y)[0];
+      path.push({ sx: x, sy: y, tx: next.x, ty: next.y, move: next });
+      gs.applyMove(x, y, next.x, next.y, next);
+    }
+    opening.push(path);
+  }
+  return opening;
+}
+
+/**
+ * balancedOpening — a random opening (see randomOpening) that a short
+ * search scores within `margin` for the side to move; after `tries` draws
+ * the last one is used anyway.
+ */
+export function balancedOpening(variantId, plies, random, { depth = 4, margin = 40, tries = 50 } = {}) {
+  let opening = [];
+  for (let i = 0; i < tries; i++) {
+    opening = randomOpening(variantId, plies, random);
+    const gs = new GameState(variantId);
+    playOpening(gs, opening);
+    if (gs.getStatus().state !== 'ongoing') continue;
+    let score = 0;
+    chooseAIMove(gs, gs.currentTurn, { difficulty: 'medium', depth, onProgress: p => { score = p.bestScore; } });
+    if (Math.abs(score) <= margin) return opening;
+  }
+  return opening;
+}
+
+/**
+ * pdnOpenings — the first `plies` moves of every game in a PDN text, in the
+ * form randomOpening returns; games that break off earlier or have an
+ * illegal move are left out.
+ */
+export function pdnOpenings(text, variantId, plies) {
+  const openings = [];
+  for (const game of parsePDN(text)) {
+    if (game.moves.length < plies) continue;
+    const gs = new GameState(variantId);
+    try {
+      for (const move of game.moves.slice(0, plies)) playPDNMove(gs, move);
+    } catch (e) {
+      console.warn(`Opening "${game.tags.Event || '?'}" skipped: ${e.message}`);
+      continue;
+    }
+    openings.push(groupMoves(gs.history).map(m => m.hops.map(({ sx, sy, tx, ty, move }) => ({ sx, sy, tx, ty, move }))));
+  }
+  return openings;
+}
+
+function playOpening(gs, opening) {
+  for (const path of opening) {
+    for (const hop of path) gs.applyMove(hop.sx, hop.sy, hop.tx, hop.ty, hop.move);
+  }
+}
+
+/**
+ * playChosen — apply every hop of a chooseAIMove result.
+ */
+function playChosen(gs, chosen) {
+  let x = chosen.sx;
+  let y = chosen.sy;
+  for (const hop of chosen.path || [chosen.move]) {
+    gs.applyMove(x, y, hop.x, hop.y, hop);
+    x = hop.x;
+    y = hop.y;
+  }
+}
+
+/**
+ * playGame — one game between two engine configurations (chooseAIMove
+ * options) after `opening`. Returns { status, gameState } where status is
+ * getStatus(); games still going after `maxMoves` moves count as draws.
+ */
+export function playGame(variantId, { red, black }, { opening = [], maxMoves = 200 } = {}) {
+  const gs = new GameState(variantId);
+  playOpening(gs, opening);
+  while (gs.getStatus().state === 'ongoing') {
+    if (gs.moveCount() >= maxMoves) {
+      return { status: { state: 'draw', winner: null, reason: 'moveLimit' }, gameState: gs };
+    }
+    const color = gs.currentTurn;
+    const chosen = chooseAIMove(gs, color, color === PIECE_TYPES.RED ? red : black);
+    if (!chosen) break;
+    playChosen(gs, chosen);
+  }
+  return { status: gs.getStatus(), gameState: gs };
+}
+
+/**
+ * scoreFor — game points for `color`: 1 win, 0.5 draw, 0 loss.
+ */
+export function scoreFor(status, color) {
+  if (status.state !== 'win') return 0.5;
+  return status.winner === color ? 1 : 0;
+}
+
+/**
+ * playPair — the same opening twice with colors swapped; returns the points
+ * `first` scored out of 2.
+ */
+export function playPair(variantId, first, second, options) {
+  const a = playGame(variantId, { red: first, black: second }, options);
+  const b = playGame(variantId, { red: second, black: first }, options);
+  return scoreFor(a.status, PIECE_TYPES.RED) + scoreFor(b.status, PIECE_TYPES.BLACK);
+}
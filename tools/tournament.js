@@ -0,0 +1,155 @@
+import { readFileSync, writeFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { PIECE_TYPES } from '../src/gameScripts/constants/constants.js';
+import { VARIANTS } from '../src/gameScripts/constants/variants.js';
+import { exportPDN } from '../src/gameScripts/notation/pdn.js';
+import { createRandom, balancedOpening, loadTables, pdnOpenings, playGame, scoreFor } from './selfPlay.js';
+import { parseArgs, numberArg } from './cliArgs.js';
+
+/**
+ * Round-robin tournament between engine configurations, headless in Node.
+ *
+ *   npm run tournament -- --engines tools/engines.json --rounds 10
+ *
+ * Every pair of engines plays `rounds` openings twice, colors swapped.
+ * Prints a crosstable with Elo estimates (performance against the other
+ * engines, with a 95% interval) and writes every game to a PDN file.
+ *
+ * The engines file is a JSON list of chooseAIMove options with a name:
+ *   [{ "name": "d6", "depth": 6, "profile": "balanced", "book": true }, ...]
+ * `profile` is a profile name or the path of a profile JSON file (e.g. one
+ * written by tuneWeights.js); `difficulty` defaults to "medium".
+ *
+ * Options (defaults in parentheses):
+ *   --engines    engines file (tools/engines.json)
+ *   --rounds     openings per pair of engines (4)
+ *   --variant    rule variant (polish)
+ *   --openings   PDN file to take the openings from, in order (random
+ *                openings a short search scores as balanced)
+ *   --opening    plies of each opening (6)
+ *   --max-moves  moves before a game is scored as a draw (200)
+ *   --seed       random seed for the openings (time)
+ *   --tables     directory holding endgame/<variant> tables, "none" to
+ *                play without them (public)
+ *   --pdn        output PDN file (tournament.pdn)
+ */
+
+const Z95 = 1.96;
+
+function loadEngines(path) {
+  const engines = JSON.parse(readFileSync(path, 'utf8'));
+  if (!Array.isArray(engines) || engines.length < 2) throw new Error(`${path}: expected a list of at least two engines`);
+  return engines.map((engine, i) => {
+    const { name = `engine${i + 1}`, ...options } = engine;
+    if (typeof options.profile === 'string' && options.profile.endsWith('.json')) {
+      options.profile = JSON.parse(readFileSync(resolve(options.profile), 'utf8'));
+    }
+    return { name, options: { difficulty: 'medium', ...options } };
+  });
+}
+
+/**
+ * elo — rating difference matching a score fraction, clamped away from
+ * the infinite values at 0 and 1.
+ */
+function elo(score) {
+  const p = Math.min(0.999, Math.max(0.001, score));
+  return -400 * Math.log10(1 / p - 1);
+}
+
+/**
+ * rating — Elo estimate from a list of game points (1, 0.5, 0) with the
+ * half-width of its 95% interval.
+ */
+function rating(points) {
+  const n = points.length;
+  const mean = points.reduce((a, b) => a + b, 0) / n;
+  const variance = points.reduce((sum, x) => sum + (x - mean) ** 2, 0) / n;
+  const error = Z95 * Math.sqrt(variance / n);
+  return { elo: elo(mean), margin: (elo(mean + error) - elo(mean - error)) / 2 };
+}
+
+function formatElo({ elo: value, margin }) {
+  const sign = value >= 0 ? '+' : '';
+  return `${sign}${Math.round(value)} ± ${Math.round(margin)}`;
+}
+
+function printTable(engines, results) {
+  const nameWidth = Math.max(...engines.map(e => e.name.length), 6);
+  const cellWidth = 9;
+  const header = ['#'.padEnd(3), 'Engine'.padEnd(nameWidth)]
+    .concat(engines.map((_, j) => String(j + 1).padStart(cellWidth)), ['Score'.padStart(cellWidth), 'Elo'.padStart(12)]);
+  console.log(header.join(' '));
+  engines.forEach((engine, i) => {
+    const all = [];
+    const cells = engines.map((_, j) => {
+      if (i === j) return '-'.padStart(cellWidth);
+      const points = results[i][j];
+      all.push(...points);
+      return `${points.reduce((a, b) => a + b, 0)}/${points.length}`.padStart(cellWidth);
+    });
+    const total = all.reduce((a, b) => a + b, 0);
+    console.log([String(i + 1).padEnd(3), engine.name.padEnd(nameWidth)]
+      .concat(cells, [`${total}/${all.length}`.padStart(cellWidth), formatElo(rating(all)).padStart(12)]).join(' '));
+  });
+}
+
+async function main() {
+  const { options, positional } = parseArgs(process.argv.slice(2));
+  if (positional.length) throw new Error(`Unexpected argument: ${positional[0]}`);
+  const engines = loadEngines(resolve(options.engines || 'tools/engines.json'));
+  const variantId = options.variant || 'polish';
+  if (!VARIANTS[variantId]) throw new Error(`Unknown variant "${variantId}"`);
+  const rounds = numberArg(options, 'rounds', 4);
+  const plies = numberArg(options, 'opening', 6);
+  const maxMoves = numberArg(options, 'max-moves', 200);
+  const random = createRandom(numberArg(options, 'seed', Date.now()));
+  const pdnPath = resolve(options.pdn || 'tournament.pdn');
+  const tables = await loadTables(variantId, options.tables);
+  console.log(tables ? 'Endgame tables loaded' : 'Playing without endgame tables');
+
+  const bookOpenings = options.openings ? pdnOpenings(readFileSync(options.openings, 'utf8'), variantId, plies) : null;
+  if (bookOpenings && !bookOpenings.length) throw new Error(`${options.openings}: no opening with ${plies} moves`);
+  let openingCount = 0;
+  const nextOpening = () => (bookOpenings
+    ? bookOpenings[openingCount++ % bookOpenings.length]
+    : balancedOpening(variantId, plies, random));
+
+  // results[i][j] — points of engine i in its games against engine j
+  const results = engines.map(() => engines.map(() => []));
+  const games = [];
+  const pairs = engines.length * (engines.length - 1) / 2;
+  const totalGames = pairs * rounds * 2;
+  const started = Date.now();
+
+  for (let round = 1; round <= rounds; round++) {
+    for (let i = 0; i < engines.length; i++) {
+      for (let j = i + 1; j < engines.length; j++) {
+        const opening = nextOpening();
+        for (const [red, black] of [[i, j], [j, i]]) {
+          const { status, gameState } = playGame(variantId, { red: engines[red].options, black: engines[black].options }, { opening, maxMoves });
+          const redPoints = scoreFor(status, PIECE_TYPES.RED);
+          results[red][black].push(redPoints);
+          results[black][red].push(1 - redPoints);
+          const tags = { Event: 'Turniej silników', Round: String(round), White: engines[red].name, Black: engines[black].name };
+          // the game itself is unfinished; record the draw it is scored as
+          if (status.reason === 'moveLimit') tags.Result = variantId === 'english' ? '1/2-1/2' : '1-1';
+          games.push(exportPDN(gameState, tags));
+          const elapsed = ((Date.now() - started) / 1000).toFixed(0);
+          console.log(`[${games.length}/${totalGames}] ${engines[red].name} - ${engines[black].name}: ` +
+            `${redPoints}-${1 - redPoints} (${status.reason || status.state}, ${elapsed}s)`);
+        }
+      }
+    }
+  }
+
+  console.log('');
+  printTable(engines, results);
+  writeFileSync(pdnPath, games.join('\n'));
+  console.log(`\n${games.length} games written to ${pdnPath}`);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
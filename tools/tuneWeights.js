@@ -0,0 +1,191 @@
+import { writeFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { PROFILES } from '../src/gameScripts/ai/evaluate.js';
+import { createRandom, loadTables, randomOpening, playPair } from './selfPlay.js';
+import { parseArgs, numberArg } from './cliArgs.js';
+
+/**
+ * SPSA tuning of the evaluation weights by self-play.
+ *
+ *   npm run tune -- --iterations 500 --games 8 --out src/gameScripts/ai/profiles/tuned.json
+ *
+ * Every iteration perturbs all weights at once by ±1 step (a random sign
+ * per weight), plays a short match between the "+" and "-" profiles from
+ * random openings and moves the weights toward the side that scored more.
+ * `man` stays fixed as the scale of the evaluation. The result is written as
+ * a profile JSON (see src/gameScripts/ai/profiles/); add it to PROFILES in
+ * evaluate.js to use it in the game.
+ *
+ * Options (defaults in parentheses):
+ *   --variant     rule variant to play (polish)
+ *   --base        profile to start from (balanced)
+ *   --iterations  SPSA iterations (200)
+ *   --games       games per iteration, played in color-swapped pairs (8)
+ *   --depth       search depth of both engines (3)
+ *   --time        time budget per move in ms, 0 for depth only (0)
+ *   --opening     random plies before the engines take over (6)
+ *   --max-moves   moves before a game is scored as a draw (150)
+ *   --rate        step size multiplier (1)
+ *   --verify      games of the tuned profile against the base at the end (0)
+ *   --seed        random seed for openings and perturbations (time)
+ *   --tables      directory holding endgame/<variant> tables, "none" to
+ *                 play without them (public)
+ *   --name        name of the written profile (tuned)
+ *   --out         output file (src/gameScripts/ai/profiles/<name>.json)
+ */
+
+const FIXED_TERMS = ['man'];
+// standard SPSA gain decay exponents
+const ALPHA = 0.602;
+const GAMMA = 0.101;
+
+/**
+ * flattenWeights — the tunable weights of a profile as a list of
+ * { term, phase, value, step }: one entry per number, two per
+ * { opening, endgame } pair. `step` is the perturbation size, a fifth of
+ * the starting value but at least 1.
+ */
+function flattenWeights(weights) {
+  const params = [];
+  for (const [term, w] of Object.entries(weights)) {
+    if (FIXED_TERMS.includes(term)) continue;
+    const phases = typeof w === 'number' ? [null] : ['opening', 'endgame'];
+    for (const phase of phases) {
+      const value = phase ? w[phase] : w;
+      params.push({ term, phase, value, step: Math.max(1, Math.abs(value) * 0.2) });
+    }
+  }
+  return params;
+}
+
+/**
+ * buildWeights — a weights object from `base` with the tunable values
+ * replaced by `values` (in flattenWeights order), kept non-negative.
+ */
+function buildWeights(base, params, values, digits = null) {
+  const weights = structuredClone(base);
+  params.forEach(({ term, phase }, i) => {
+    let v = Math.max(0, values[i]);
+    if (digits !== null) v = Number(v.toFixed(digits));
+    if (phase) weights[term][phase] = v;
+    else weights[term] = v;
+  });
+  return weights;
+}
+
+function engine(weights, settings) {
+  return {
+    difficulty: 'medium',
+    depth: settings.depth,
+    timeMs: settings.timeMs,
+    profile: { name: 'tuning', weights }
+  };
+}
+
+/**
+ * match — points scored by `first` over `games` games (rounded up to whole
+ * color-swapped pairs), each pair from a fresh random opening.
+ */
+function match(first, second, games, settings, random) {
+  let points = 0;
+  const pairs = Math.max(1, Math.ceil(games / 2));
+  for (let p = 0; p < pairs; p++) {
+    const opening = randomOpening(settings.variant, settings.openingPlies, random);
+    points += playPair(settings.variant, first, second, { opening, maxMoves: settings.maxMoves });
+  }
+  return { points, games: pairs * 2 };
+}
+
+/**
+ * writeProfile — profile JSON laid out like the hand-written ones: one
+ * weight per line, { opening, endgame } pairs inline.
+ */
+function writeProfile(path, name, description, weights) {
+  const inline = w => JSON.stringify(w).replace(/([{,])/g, '$1 ').replace(/}/g, ' }').replace(/:/g, ': ');
+  const lines = Object.entries(weights).map(([term, w]) => `    "${term}": ${inline(w)}`);
+  const json = [
+    '{',
+    `  "name": ${JSON.stringify(name)},`,
+    `  "description": ${JSON.stringify(description)},`,
+    '  "weights": {',
+    lines.join(',\n'),
+    '  }',
+    '}'
+  ].join('\n');
+  writeFileSync(path, json + '\n');
+}
+
+async function main() {
+  const { options: args, positional } = parseArgs(process.argv.slice(2));
+  if (positional.length) throw new Error(`Unexpected argument: ${positional[0]}`);
+  const baseName = args.base || 'balanced';
+  const base = PROFILES[baseName];
+  if (!base) throw new Error(`Unknown profile "${baseName}" (known: ${Object.keys(PROFILES).join(', ')})`);
+
+  const name = args.name || 'tuned';
+  const out = resolve(args.out || `src/gameScripts/ai/profiles/${name}.json`);
+  const iterations = numberArg(args, 'iterations', 200);
+  const games = numberArg(args, 'games', 8);
+  const rate = numberArg(args, 'rate', 1);
+  const verifyGames = numberArg(args, 'verify', 0);
+  const random = createRandom(numberArg(args, 'seed', Date.now()));
+  const settings = {
+    variant: args.variant || 'polish',
+    depth: numberArg(args, 'depth', 3),
+    timeMs: numberArg(args, 'time', 0),
+    openingPlies: numberArg(args, 'opening', 6),
+    maxMoves: numberArg(args, 'max-moves', 150)
+  };
+  const tables = await loadTables(settings.variant, args.tables);
+  console.log(tables ? 'Endgame tables loaded' : 'Playing without endgame tables');
+
+  const params = flattenWeights(base.weights);
+  const values = params.map(p => p.value);
+  // gains: a first iteration won outright moves each weight by half a step
+  const stability = Math.max(1, iterations * 0.1);
+  const a = 0.5 * Math.pow(stability + 1, ALPHA) * rate;
+  const description = `SPSA-tuned from "${baseName}" on ${settings.variant}: ` +
+    `${iterations} iterations of ${games} games at depth ${settings.depth}.`;
+
+  console.log(`Tuning ${params.length} weights of "${baseName}" on ${settings.variant} -> ${out}`);
+  const started = Date.now();
+
+  for (let k = 1; k <= iterations; k++) {
+    const ak = a / Math.pow(stability + k, ALPHA);
+    const ck = 1 / Math.pow(k, GAMMA);
+    const delta = params.map(() => (random() < 0.5 ? -1 : 1));
+    const plus = values.map((v, i) => v + ck * params[i].step * delta[i]);
+    const minus = values.map((v, i) => v - ck * params[i].step * delta[i]);
+
+    const result = match(
+      engine(buildWeights(base.weights, params, plus), settings),
+      engine(buildWeights(base.weights, params, minus), settings),
+      games, settings, random
+    );
+    // +1 when "+" won every game, -1 when "-" did
+    const diff = (2 * result.points - result.games) / result.games;
+    params.forEach((p, i) => {
+      values[i] = Math.max(0, values[i] + ak * diff * p.step * delta[i] / ck);
+    });
+
+    const elapsed = ((Date.now() - started) / 1000).toFixed(0);
+    console.log(`[${k}/${iterations}] +${result.points}/${result.games} (${elapsed}s)`);
+    // checkpoint so a long run can be stopped at any time
+    if (k % 10 === 0 || k === iterations) {
+      writeProfile(out, name, description, buildWeights(base.weights, params, values, 1));
+    }
+  }
+
+  const tuned = buildWeights(base.weights, params, values, 1);
+  console.log('Tuned weights:', JSON.stringify(tuned));
+
+  if (verifyGames > 0) {
+    const result = match(engine(tuned, settings), engine(base.weights, settings), verifyGames, settings, random);
+    console.log(`Tuned vs ${baseName}: ${result.points}/${result.games}`);
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});